@@ -1,7 +1,9 @@
 module.exports = {
   testEnvironment: 'node',
   roots: ['<rootDir>/test'],
-  testMatch: ['**/*.test.ts'],
+  testMatch: ['**/*.test.ts', '**/*.test.mjs'],
+  // The Lambda handlers import the SDK from the dependencies layer
+  modulePaths: ['<rootDir>/resources/dependencies/nodejs/node_modules'],
   transform: {
     '^.+\\.tsx?$': 'ts-jest'
   }
@@ -8,6 +8,10 @@ import * as integrations from "aws-cdk-lib/aws-apigatewayv2-integrations";
 import * as authorizers from "aws-cdk-lib/aws-apigatewayv2-authorizers";
 import * as cognito from "aws-cdk-lib/aws-cognito";
 import * as iam from "aws-cdk-lib/aws-iam";
+import * as sqs from "aws-cdk-lib/aws-sqs";
+import * as lambdaEventSources from "aws-cdk-lib/aws-lambda-event-sources";
+import * as events from "aws-cdk-lib/aws-events";
+import * as targets from "aws-cdk-lib/aws-events-targets";
 import * as dotenv from "dotenv";
 dotenv.config();
 
@@ -36,14 +40,114 @@ export class VotingAppBackendStack extends cdk.Stack {
       sortKey: { name: "createdAt", type: dynamodb.AttributeType.STRING }, // for sorting
       projectionType: dynamodb.ProjectionType.ALL,
     });
+    // Indexes added after the table was first deployed, in the order a
+    // stack deployed before them gets them. CloudFormation adds at most one
+    // GSI per table update, so such a stack is upgraded with one deploy per
+    // index: `-c pollsIndexes=1`, then 2, then 3, then without it (see
+    // README).
+    const addedIndexes: dynamodb.GlobalSecondaryIndexProps[] = [
+      {
+        indexName: "PollsByClosesAt-index",
+        partitionKey: { name: "GSI3PK", type: dynamodb.AttributeType.STRING }, // OPEN, only on polls with a deadline
+        sortKey: { name: "closesAt", type: dynamodb.AttributeType.STRING },
+        projectionType: dynamodb.ProjectionType.ALL,
+      },
+      {
+        indexName: "PollsByTotalVotes-index",
+        partitionKey: { name: "GSI1PK", type: dynamodb.AttributeType.STRING },
+        sortKey: { name: "totalVotes", type: dynamodb.AttributeType.NUMBER },
+        projectionType: dynamodb.ProjectionType.ALL,
+      },
+      {
+        indexName: "PollsByTrend-index",
+        partitionKey: { name: "GSI4PK", type: dynamodb.AttributeType.STRING }, // TRENDING, once voted on
+        sortKey: { name: "trendScore", type: dynamodb.AttributeType.NUMBER }, // see resources/trending.mjs
+        projectionType: dynamodb.ProjectionType.ALL,
+      },
+      {
+        indexName: "VotesByVoter-index",
+        partitionKey: { name: "GSI5PK", type: dynamodb.AttributeType.STRING }, // VOTER#<email>, on VOTE# items
+        sortKey: { name: "createdAt", type: dynamodb.AttributeType.STRING },
+        projectionType: dynamodb.ProjectionType.ALL,
+      },
+    ];
+    const pollsIndexes = Number(
+      this.node.tryGetContext("pollsIndexes") ?? addedIndexes.length
+    );
+    if (
+      !Number.isInteger(pollsIndexes) ||
+      pollsIndexes < 0 ||
+      pollsIndexes > addedIndexes.length
+    ) {
+      throw new Error(
+        `pollsIndexes must be an integer from 0 to ${addedIndexes.length}`
+      );
+    }
+    for (const index of addedIndexes.slice(0, pollsIndexes)) {
+      pollsTable.addGlobalSecondaryIndex(index);
+    }
 
     // Table to store active WebSocket connections
     const connectionsTable = new dynamodb.Table(this, "ConnectionsTable", {
       tableName: "Connections",
       partitionKey: { name: "PK", type: dynamodb.AttributeType.STRING },
       billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: "expiresAt", // reaps connections dropped without $disconnect
+    });
+
+    // Table to store per-poll WebSocket subscriptions
+    const subscriptionsTable = new dynamodb.Table(this, "SubscriptionsTable", {
+      tableName: "Subscriptions",
+      partitionKey: { name: "PK", type: dynamodb.AttributeType.STRING }, // <connectionId>
+      sortKey: { name: "SK", type: dynamodb.AttributeType.STRING }, // POLL#<pollId>
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: "expiresAt",
+    });
+    subscriptionsTable.addGlobalSecondaryIndex({
+      indexName: "SubscriptionsByPoll-index",
+      partitionKey: { name: "SK", type: dynamodb.AttributeType.STRING },
+      sortKey: { name: "PK", type: dynamodb.AttributeType.STRING },
+      // Lets readers skip subscriptions expired but not yet deleted
+      projectionType: dynamodb.ProjectionType.INCLUDE,
+      nonKeyAttributes: ["expiresAt"],
+    });
+
+    // Per-user token buckets of the rate limiter (rateLimit.mjs)
+    const rateLimitsTable = new dynamodb.Table(this, "RateLimitsTable", {
+      tableName: "RateLimits",
+      partitionKey: { name: "PK", type: dynamodb.AttributeType.STRING }, // <bucket>#<user>
+      billingMode: dynamodb.BillingMode.PAY_PER_REQUEST,
+      timeToLiveAttribute: "expiresAt",
+    });
+    // "<capacity>/<seconds>" overrides of the default limits
+    const rateLimits = Object.fromEntries(
+      ["RATE_LIMIT_CREATE_POLL", "RATE_LIMIT_VOTE", "RATE_LIMIT_MESSAGE"]
+        .filter((name) => process.env[name])
+        .map((name) => [name, process.env[name]!])
+    );
+
+    // Coalesced WebSocket broadcasts, delayed until they are due (see
+    // coalesceBroadcast in resources/broadcast.mjs)
+    // Broadcasts that keep failing are set aside after a few attempts
+    // rather than retried until the queue's retention runs out
+    const broadcastDeadLetterQueue = new sqs.Queue(
+      this,
+      "BroadcastDeadLetterQueue",
+      { retentionPeriod: cdk.Duration.days(14) }
+    );
+    const broadcastQueue = new sqs.Queue(this, "BroadcastQueue", {
+      visibilityTimeout: cdk.Duration.seconds(60),
+      deadLetterQueue: {
+        queue: broadcastDeadLetterQueue,
+        maxReceiveCount: 3,
+      },
     });
 
+    // Lowest level written by the JSON logger of every Lambda
+    const logLevel = process.env.LOG_LEVEL || "info";
+    // Shortest interval between two tallies updates of a poll (broadcast.mjs)
+    const resultsIntervalMs = process.env.RESULTS_INTERVAL_MS || "1000";
+
     // lambda layer to include dependencies
     const lambdaLayer = new lambda.LayerVersion(this, "LambdaLayer", {
       layerVersionName: "LambdaLayer",
@@ -58,10 +162,51 @@ export class VotingAppBackendStack extends cdk.Stack {
       handler: "polls.pollsHandler",
       environment: {
         POLLS_TABLE: pollsTable.tableName,
+        SUBSCRIPTIONS_TABLE: subscriptionsTable.tableName,
+        CONNECTIONS_TABLE: connectionsTable.tableName,
+        CURSOR_SECRET: process.env.CURSOR_SECRET!,
+        INVITE_SECRET: process.env.INVITE_SECRET!,
+        LOG_LEVEL: logLevel,
+        RESULTS_INTERVAL_MS: resultsIntervalMs,
+        RATE_LIMITS_TABLE: rateLimitsTable.tableName,
+        BROADCAST_QUEUE_URL: broadcastQueue.queueUrl,
+        ...rateLimits,
       },
       layers: [lambdaLayer],
     });
     pollsTable.grantFullAccess(managePollsLambda);
+    rateLimitsTable.grantReadWriteData(managePollsLambda);
+    // Broadcasts remove the connections API Gateway reports as gone
+    subscriptionsTable.grantReadWriteData(managePollsLambda);
+    connectionsTable.grantReadWriteData(managePollsLambda);
+
+    // Lambda closing polls whose deadline has passed
+    const closeExpiredPollsLambda = new lambda.Function(
+      this,
+      "CloseExpiredPollsLambda",
+      {
+        runtime: lambda.Runtime.NODEJS_18_X,
+        code: lambda.Code.fromAsset("resources"),
+        handler: "polls.closeExpiredPollsHandler",
+        environment: {
+          POLLS_TABLE: pollsTable.tableName,
+          SUBSCRIPTIONS_TABLE: subscriptionsTable.tableName,
+          CONNECTIONS_TABLE: connectionsTable.tableName,
+          // Broadcasts check the invites private polls were watched with
+          INVITE_SECRET: process.env.INVITE_SECRET!,
+          LOG_LEVEL: logLevel,
+        },
+        layers: [lambdaLayer],
+        timeout: cdk.Duration.minutes(1),
+      }
+    );
+    pollsTable.grantReadWriteData(closeExpiredPollsLambda);
+    subscriptionsTable.grantReadWriteData(closeExpiredPollsLambda);
+    connectionsTable.grantReadWriteData(closeExpiredPollsLambda);
+    new events.Rule(this, "CloseExpiredPollsSchedule", {
+      schedule: events.Schedule.rate(cdk.Duration.minutes(1)),
+      targets: [new targets.LambdaFunction(closeExpiredPollsLambda)],
+    });
 
     // 🔹 WebSocket Lambda Authorizer for Cognito Authentication
     const webSocketAuthorizerLambda = new lambda.Function(
@@ -74,6 +219,7 @@ export class VotingAppBackendStack extends cdk.Stack {
         environment: {
           COGNITO_USER_POOL_ID: process.env.COGNITO_USER_POOL_ID!,
           COGNITO_REGION: process.env.AWS_REGION || "us-east-1",
+          LOG_LEVEL: logLevel,
         },
         layers: [lambdaLayer],
         timeout: cdk.Duration.seconds(30),
@@ -88,6 +234,7 @@ export class VotingAppBackendStack extends cdk.Stack {
       handler: "votes.connectHandler",
       environment: {
         CONNECTIONS_TABLE: connectionsTable.tableName,
+        LOG_LEVEL: logLevel,
       },
       layers: [lambdaLayer],
     });
@@ -100,10 +247,14 @@ export class VotingAppBackendStack extends cdk.Stack {
       handler: "votes.disconnectHandler",
       environment: {
         CONNECTIONS_TABLE: connectionsTable.tableName,
+        SUBSCRIPTIONS_TABLE: subscriptionsTable.tableName,
+        BROADCAST_QUEUE_URL: broadcastQueue.queueUrl,
+        LOG_LEVEL: logLevel,
       },
       layers: [lambdaLayer],
     });
     connectionsTable.grantReadWriteData(disconnectLambda);
+    subscriptionsTable.grantReadWriteData(disconnectLambda);
 
     // 🔹 Lambda for messages (votes, etc.)
     const messageLambda = new lambda.Function(this, "MessageHandler", {
@@ -113,11 +264,20 @@ export class VotingAppBackendStack extends cdk.Stack {
       environment: {
         CONNECTIONS_TABLE: connectionsTable.tableName,
         POLLS_TABLE: pollsTable.tableName,
+        SUBSCRIPTIONS_TABLE: subscriptionsTable.tableName,
+        INVITE_SECRET: process.env.INVITE_SECRET!,
+        LOG_LEVEL: logLevel,
+        RESULTS_INTERVAL_MS: resultsIntervalMs,
+        RATE_LIMITS_TABLE: rateLimitsTable.tableName,
+        BROADCAST_QUEUE_URL: broadcastQueue.queueUrl,
+        ...rateLimits,
       },
       layers: [lambdaLayer],
     });
-    connectionsTable.grantReadData(messageLambda);
+    connectionsTable.grantReadWriteData(messageLambda);
+    subscriptionsTable.grantReadWriteData(messageLambda);
     pollsTable.grantFullAccess(messageLambda);
+    rateLimitsTable.grantReadWriteData(messageLambda);
 
     // 🔹 Create Lambda Authorizer for WebSocket
     const webSocketAuthorizer = new authorizers.WebSocketLambdaAuthorizer(
@@ -155,16 +315,15 @@ export class VotingAppBackendStack extends cdk.Stack {
       }
     );
 
-    messageLambda.addToRolePolicy(
-      new iam.PolicyStatement({
-        actions: ["execute-api:ManageConnections"],
-        resources: [
-          `arn:aws:execute-api:${cdk.Stack.of(this).region}:${
-            cdk.Stack.of(this).account
-          }:${webSocketApi.apiId}/*/POST/@connections/*`,
-        ],
-      })
-    );
+    const manageConnectionsPolicy = new iam.PolicyStatement({
+      actions: ["execute-api:ManageConnections"],
+      resources: [
+        `arn:aws:execute-api:${cdk.Stack.of(this).region}:${
+          cdk.Stack.of(this).account
+        }:${webSocketApi.apiId}/*/POST/@connections/*`,
+      ],
+    });
+    messageLambda.addToRolePolicy(manageConnectionsPolicy);
 
     const devStage = new apigatewayv2.WebSocketStage(this, "DevStage", {
       webSocketApi,
@@ -172,6 +331,45 @@ export class VotingAppBackendStack extends cdk.Stack {
       autoDeploy: true,
     });
 
+    // Lambda sending the broadcasts scheduled on the queue
+    const broadcastLambda = new lambda.Function(this, "BroadcastLambda", {
+      runtime: lambda.Runtime.NODEJS_18_X,
+      code: lambda.Code.fromAsset("resources"),
+      handler: "broadcastQueue.broadcastQueueHandler",
+      environment: {
+        POLLS_TABLE: pollsTable.tableName,
+        SUBSCRIPTIONS_TABLE: subscriptionsTable.tableName,
+        CONNECTIONS_TABLE: connectionsTable.tableName,
+        INVITE_SECRET: process.env.INVITE_SECRET!,
+        LOG_LEVEL: logLevel,
+      },
+      layers: [lambdaLayer],
+      timeout: cdk.Duration.seconds(30),
+    });
+    broadcastLambda.addEventSource(
+      new lambdaEventSources.SqsEventSource(broadcastQueue, {
+        batchSize: 10,
+        reportBatchItemFailures: true,
+      })
+    );
+    pollsTable.grantReadData(broadcastLambda);
+    // Broadcasts remove the connections API Gateway reports as gone
+    subscriptionsTable.grantReadWriteData(broadcastLambda);
+    connectionsTable.grantReadWriteData(broadcastLambda);
+    for (const fn of [managePollsLambda, messageLambda, disconnectLambda]) {
+      broadcastQueue.grantSendMessages(fn);
+    }
+
+    // Lambdas outside the WebSocket API that push events to its clients
+    for (const fn of [
+      managePollsLambda,
+      closeExpiredPollsLambda,
+      broadcastLambda,
+    ]) {
+      fn.addEnvironment("WEBSOCKET_ENDPOINT", devStage.callbackUrl);
+      fn.addToRolePolicy(manageConnectionsPolicy);
+    }
+
     // RestAPI Gateway
     const api = new apigateway.RestApi(this, "VotingApi", {
       restApiName: "Voting Service",
@@ -204,6 +402,13 @@ export class VotingAppBackendStack extends cdk.Stack {
       new apigateway.LambdaIntegration(managePollsLambda),
       { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
     );
+    const authenticatedUsersSearch =
+      authenticatedUsersPolls.addResource("search");
+    authenticatedUsersSearch.addMethod(
+      "GET",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
     const authenticatedUsersPoll =
       authenticatedUsersPolls.addResource("{pollId}");
     authenticatedUsersPoll.addMethod(
@@ -221,6 +426,15 @@ export class VotingAppBackendStack extends cdk.Stack {
         authorizationType: apigateway.AuthorizationType.COGNITO,
       }
     );
+    const myVotes = api.root.addResource("myVotes");
+    myVotes.addMethod(
+      "GET",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      {
+        authorizer,
+        authorizationType: apigateway.AuthorizationType.COGNITO,
+      }
+    );
     const polls = api.root.addResource("polls");
     const poll = polls.addResource("{pollId}");
     polls.addMethod(
@@ -229,8 +443,41 @@ export class VotingAppBackendStack extends cdk.Stack {
       { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
     );
     polls.addMethod("GET", new apigateway.LambdaIntegration(managePollsLambda));
+    const searchPolls = polls.addResource("search");
+    searchPolls.addMethod(
+      "GET",
+      new apigateway.LambdaIntegration(managePollsLambda)
+    );
     poll.addMethod("GET", new apigateway.LambdaIntegration(managePollsLambda));
     poll.addMethod(
+      "PATCH",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
+    poll.addMethod(
+      "DELETE",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
+    const closePoll = poll.addResource("close");
+    closePoll.addMethod(
+      "POST",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
+    const pollInvites = poll.addResource("invites");
+    pollInvites.addMethod(
+      "POST",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
+    const pollVote = poll.addResource("vote");
+    pollVote.addMethod(
+      "POST",
+      new apigateway.LambdaIntegration(managePollsLambda),
+      { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
+    );
+    pollVote.addMethod(
       "DELETE",
       new apigateway.LambdaIntegration(managePollsLambda),
       { authorizer, authorizationType: apigateway.AuthorizationType.COGNITO }
@@ -0,0 +1,115 @@
+import { AppError, ERROR_CODES } from "./errors.mjs";
+import { signToken, verifySignature } from "./signing.mjs";
+
+// Who may find and read a poll. Public polls are listed in the feeds and
+// search, unlisted ones are left out of them but open to anyone with their
+// id, private ones are only open to their owner, the emails on their
+// `allowedEmails` list, members of their `allowedGroups` (Cognito groups)
+// and holders of an invite token. Polls created before this setting existed
+// are public.
+export const POLL_ACCESS = {
+  PUBLIC: "public",
+  UNLISTED: "unlisted",
+  PRIVATE: "private",
+};
+
+// Invite tokens are valid for a week unless asked otherwise, a month at most
+export const DEFAULT_INVITE_DAYS = 7;
+export const MAX_INVITE_DAYS = 30;
+
+// Whether a poll shows up in the feeds and search
+export const isListed = (pollItem) =>
+  (pollItem.access || POLL_ACCESS.PUBLIC) === POLL_ACCESS.PUBLIC;
+
+// Cognito groups of a user. REST routes get them from the token claims as
+// one string ("a,b" or "[a b]"), WebSocket routes from the connection
+// context as "a,b".
+export const parseGroups = (value) => {
+  if (Array.isArray(value)) {
+    return value;
+  }
+  return String(value ?? "")
+    .replace(/^\[|\]$/g, "")
+    .split(/[\s,]+/)
+    .filter(Boolean);
+};
+
+// The identity the access checks need from REST token claims
+export const viewerFromClaims = (claims = {}) => ({
+  email: claims.email,
+  groups: parseGroups(claims["cognito:groups"]),
+});
+
+// Invite token to a poll, handed out in share links:
+// base64url(JSON { pollId, exp }) signed with INVITE_SECRET (see
+// signing.mjs), exp being in epoch seconds
+export const createInviteToken = (pollId, expiresAt) => {
+  const payload = Buffer.from(
+    JSON.stringify({
+      pollId,
+      exp: Math.floor(new Date(expiresAt).getTime() / 1000),
+    })
+  ).toString("base64url");
+  return signToken("INVITE_SECRET", payload);
+};
+
+// Whether a token is a valid, unexpired invite to the poll
+export const verifyInviteToken = (token, pollId) => {
+  const [payload, signature, ...rest] = String(token).split(".");
+  if (!payload || !signature || rest.length > 0) {
+    return false;
+  }
+
+  if (!verifySignature("INVITE_SECRET", payload, signature)) {
+    return false;
+  }
+
+  try {
+    const { pollId: invitedTo, exp } = JSON.parse(
+      Buffer.from(payload, "base64url").toString("utf8")
+    );
+    return invitedTo === pollId && exp * 1000 > Date.now();
+  } catch (err) {
+    return false;
+  }
+};
+
+// Whether a viewer may read and vote on a poll without an invite. viewer is
+// { email, groups }, or {} for unauthenticated reads.
+const isAllowed = (pollItem, { email, groups = [] }) => {
+  if (email === undefined) {
+    return false;
+  }
+  const allowedGroups = pollItem.allowedGroups || [];
+  return (
+    pollItem.owner?.email === email ||
+    (pollItem.allowedEmails || []).includes(email.toLowerCase()) ||
+    groups.some((group) => allowedGroups.includes(group))
+  );
+};
+
+// Whether the viewer may read and vote on the poll, given the invite token
+// it came with, if any
+export const canAccessPoll = (pollItem, viewer = {}, invite) =>
+  (pollItem.access || POLL_ACCESS.PUBLIC) !== POLL_ACCESS.PRIVATE ||
+  isAllowed(pollItem, viewer) ||
+  (Boolean(invite) && verifyInviteToken(invite, pollItem.pollId));
+
+// Throw unless the viewer may read and vote on the poll, given the invite
+// token it came with, if any. Callers without access are told the poll
+// doesn't exist, so private polls can't be discovered by id; only a bad
+// invite gets its own error, for share links that expired.
+export const requirePollAccess = (pollItem, viewer = {}, invite) => {
+  if (canAccessPoll(pollItem, viewer)) {
+    return;
+  }
+  if (invite === undefined || invite === null || invite === "") {
+    throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+  }
+  if (!verifyInviteToken(invite, pollItem.pollId)) {
+    throw new AppError(
+      ERROR_CODES.INVITE_INVALID,
+      "Invite link is invalid or has expired"
+    );
+  }
+};
@@ -1,6 +1,7 @@
 // resources/auth.js
 import jwt from 'jsonwebtoken';
 import jwksClient from 'jwks-rsa';
+import { loggerFor } from './logger.mjs';
 
 // Cache JWKS client
 const client = jwksClient({
@@ -60,27 +61,28 @@ const generatePolicy = (principalId, effect, resource, context = {}) => {
 };
 
 export const webSocketAuthorizerHandler = async (event) => {
-  console.log('WebSocket Authorizer Event:', JSON.stringify(event, null, 2));
+  // Never log the event itself: its query string holds the token
+  const log = loggerFor(event);
+  log.debug('Authorizing WebSocket connection', { methodArn: event.methodArn });
 
   try {
     // Extract token from query string
     const token = event.queryStringParameters?.token;
     
     if (!token) {
-      console.log('No token provided');
+      log.info('No token provided');
       throw new Error('Unauthorized: No token provided');
     }
 
-    console.log('Verifying token...');
-    
     // Verify the JWT token
     const decoded = await verifyToken(token);
-    console.log('Token verified successfully:', decoded);
 
     // Extract user information
     const userId = decoded.sub;
     const username = decoded.name
     const email = decoded.email;
+    // Context values must be strings: groups are passed as "a,b"
+    const groups = (decoded['cognito:groups'] || []).join(',');
 
     // Generate allow policy
     const policy = generatePolicy(
@@ -91,15 +93,16 @@ export const webSocketAuthorizerHandler = async (event) => {
         userId,
         username,
         email,
+        groups,
         // Add any other user context you need
       }
     );
 
-    console.log('Generated policy:', JSON.stringify(policy, null, 2));
+    log.info('Token verified', { userSub: userId });
     return policy;
 
   } catch (error) {
-    console.error('Authorization failed:', error);
+    log.warn('Authorization failed', { error });
     
     // Generate deny policy
     return generatePolicy(
@@ -0,0 +1,29 @@
+import { BatchGetCommand } from "@aws-sdk/lib-dynamodb";
+
+// Fetch items by key from one table, 100 keys per BatchGet call (the
+// DynamoDB limit), retrying unprocessed keys. Items come back in no
+// particular order.
+export const batchGetAll = async (
+  ddbDocClient,
+  tableName,
+  keys,
+  projection = {}
+) => {
+  const items = [];
+  const pending = [...keys];
+
+  while (pending.length > 0) {
+    let request = {
+      [tableName]: { Keys: pending.splice(0, 100), ...projection },
+    };
+    while (request && Object.keys(request).length > 0) {
+      const result = await ddbDocClient.send(
+        new BatchGetCommand({ RequestItems: request })
+      );
+      items.push(...(result.Responses?.[tableName] || []));
+      request = result.UnprocessedKeys;
+    }
+  }
+
+  return items;
+};
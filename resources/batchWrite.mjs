@@ -0,0 +1,18 @@
+import { BatchWriteCommand } from "@aws-sdk/lib-dynamodb";
+
+// Apply put and delete requests ({ PutRequest } or { DeleteRequest }) to one
+// table, 25 per BatchWrite call (the DynamoDB limit), retrying unprocessed
+// requests until every one is written.
+export const batchWriteAll = async (ddbDocClient, tableName, requests) => {
+  const pending = [...requests];
+
+  while (pending.length > 0) {
+    let request = { [tableName]: pending.splice(0, 25) };
+    while (request && Object.keys(request).length > 0) {
+      const result = await ddbDocClient.send(
+        new BatchWriteCommand({ RequestItems: request })
+      );
+      request = result.UnprocessedItems;
+    }
+  }
+};
@@ -0,0 +1,234 @@
+import {
+  ApiGatewayManagementApiClient,
+  PostToConnectionCommand,
+} from "@aws-sdk/client-apigatewaymanagementapi";
+import { SQSClient, SendMessageCommand } from "@aws-sdk/client-sqs";
+import { getPollTallies, getVoterEmails } from "./pollRepository.mjs";
+import {
+  getPollSubscribers,
+  getSubscriptionInvites,
+  getConnectionUsers,
+  removeConnection,
+  unsubscribe,
+  scheduleBroadcast,
+  cancelBroadcast,
+} from "./connectionRepository.mjs";
+import {
+  RESULTS_VISIBILITY,
+  canSeeResults,
+  hideTallies,
+} from "./visibility.mjs";
+import { POLL_ACCESS, canAccessPoll } from "./access.mjs";
+import { createLogger } from "./logger.mjs";
+
+const log = createLogger({ module: "broadcast" });
+const sqsClient = new SQSClient({});
+
+const BROADCAST_QUEUE_URL = process.env.BROADCAST_QUEUE_URL;
+
+// Shortest interval between two `results` frames of a poll
+export const RESULTS_INTERVAL_MS =
+  Number(process.env.RESULTS_INTERVAL_MS) || 1000;
+
+// Client for the WebSocket management API. Lambdas behind the WebSocket API
+// pass the endpoint of the calling stage; the others use WEBSOCKET_ENDPOINT.
+export const createCallbackAPI = (
+  endpoint = process.env.WEBSOCKET_ENDPOINT
+) => new ApiGatewayManagementApiClient({ endpoint });
+
+export const sendToConnection = (callbackAPI, connectionId, payload) =>
+  callbackAPI.send(
+    new PostToConnectionCommand({
+      ConnectionId: connectionId,
+      Data: JSON.stringify(payload),
+    })
+  );
+
+// API Gateway answers 410 Gone for connections that no longer exist
+export const isGoneError = (err) =>
+  err.name === "GoneException" || err.$metadata?.httpStatusCode === 410;
+
+// Send a frame to one connection of a broadcast, removing it if it is gone
+const sendFrame = async (callbackAPI, connId, frame) => {
+  try {
+    await sendToConnection(callbackAPI, connId, frame);
+  } catch (err) {
+    if (!isGoneError(err)) {
+      log.warn("Error sending frame", { connectionId: connId, error: err });
+      return;
+    }
+    try {
+      await removeConnection(connId);
+      log.info("Removed stale connection", { connectionId: connId });
+    } catch (removeErr) {
+      log.warn("Error removing stale connection", {
+        connectionId: connId,
+        error: removeErr,
+      });
+    }
+  }
+};
+
+// Tell a connection it lost access to a poll, and stop sending it frames
+const revokeSubscription = async (callbackAPI, connId, pollId) => {
+  await unsubscribe(connId, pollId);
+  await sendFrame(callbackAPI, connId, { type: "accessRevoked", pollId });
+};
+
+// Whether a subscriber may still watch a private poll. An invite that can't
+// be verified counts as no access, so one bad subscription doesn't fail the
+// whole broadcast.
+const hasAccess = (pollItem, user, invite) => {
+  try {
+    return canAccessPoll(pollItem, user, invite);
+  } catch (err) {
+    log.error("Error verifying subscriber access", {
+      pollId: pollItem.pollId,
+      error: err,
+    });
+    return false;
+  }
+};
+
+// Send a payload to every connection watching a poll. The payload is either
+// the frame sent to everyone, or, for frames that depend on who receives
+// them, an async function given the users behind all the subscribed
+// connections and returning a function that builds the frame for one user.
+// Given the POLL item of a private poll, the access of every subscriber is
+// checked again first: the poll's allow-lists may have changed, or the
+// invite it subscribed with expired, since it subscribed. Connections that
+// are gone are removed along the way.
+export const broadcastToPoll = async (
+  callbackAPI,
+  pollId,
+  payload,
+  pollItem
+) => {
+  let subscribers = await getPollSubscribers(pollId);
+  if (subscribers.length === 0) {
+    return;
+  }
+
+  const checkAccess = pollItem?.access === POLL_ACCESS.PRIVATE;
+  let users = {};
+  if (typeof payload === "function" || checkAccess) {
+    users = await getConnectionUsers(subscribers);
+  }
+
+  if (checkAccess) {
+    const invites = await getSubscriptionInvites(pollId, subscribers);
+    const revoked = subscribers.filter(
+      (connId) => !hasAccess(pollItem, users[connId], invites[connId])
+    );
+    await Promise.allSettled(
+      revoked.map((connId) =>
+        revokeSubscription(callbackAPI, connId, pollId).catch((err) =>
+          log.warn("Error revoking subscription", {
+            connectionId: connId,
+            error: err,
+          })
+        )
+      )
+    );
+    subscribers = subscribers.filter((connId) => !revoked.includes(connId));
+  }
+
+  let frameFor = () => payload;
+  if (typeof payload === "function") {
+    frameFor = await payload(subscribers.map((connId) => users[connId]));
+  }
+
+  await Promise.allSettled(
+    subscribers.map((connId) =>
+      sendFrame(callbackAPI, connId, frameFor(users[connId]))
+    )
+  );
+};
+
+// Coalesce the broadcasts of a kind (PRESENCE, RESULTS) for a poll: the
+// first change after a broadcast schedules the next one through the
+// broadcast queue, delayed until `intervalMs` after the previous one, and
+// the changes made meanwhile ride along since the frame is built when it is
+// sent (see broadcastQueue.mjs). Callers never wait for the send itself.
+export const coalesceBroadcast = async (kind, pollId, intervalMs) => {
+  const delayMs = await scheduleBroadcast(kind, pollId, intervalMs);
+  if (delayMs === null) {
+    return;
+  }
+  try {
+    await sqsClient.send(
+      new SendMessageCommand({
+        QueueUrl: BROADCAST_QUEUE_URL,
+        MessageBody: JSON.stringify({ kind, pollId }),
+        DelaySeconds: Math.ceil(delayMs / 1000),
+      })
+    );
+  } catch (err) {
+    await cancelBroadcast(kind, pollId);
+    throw err;
+  }
+};
+
+// Broadcast a frame carrying tallies (`options` and/or `results`), stamped
+// with the `talliesVersion` of the POLL item they were read with (see
+// getPollTallies) so clients can drop frames that arrive out of order.
+// Viewers the poll's resultsVisibility hides them from get the frame without
+// them, and those who lost access to a private poll none at all.
+export const broadcastResults = async (callbackAPI, pollItem, tallies) => {
+  const frame = { ...tallies, version: pollItem.talliesVersion ?? 0 };
+  const resultsVisibility =
+    pollItem.resultsVisibility || RESULTS_VISIBILITY.ALWAYS;
+  if (resultsVisibility === RESULTS_VISIBILITY.ALWAYS) {
+    return broadcastToPoll(callbackAPI, pollItem.pollId, frame, pollItem);
+  }
+
+  const hiddenFrame = {
+    ...frame,
+    ...(frame.options && { options: hideTallies(frame.options) }),
+    ...(frame.results && { results: null }),
+    resultsHidden: true,
+  };
+
+  return broadcastToPoll(
+    callbackAPI,
+    pollItem.pollId,
+    async (users) => {
+      const voters =
+        resultsVisibility === RESULTS_VISIBILITY.AFTER_VOTE
+          ? await getVoterEmails(pollItem.pollId, [
+              ...new Set(users.map((user) => user?.email).filter(Boolean)),
+            ])
+          : new Set();
+
+      return (user) =>
+        canSeeResults(pollItem, {
+          viewerEmail: user?.email,
+          hasVoted: voters.has(user?.email),
+        })
+          ? frame
+          : hiddenFrame;
+    },
+    pollItem
+  );
+};
+
+// Tell a poll's watchers its tallies changed. Votes are coalesced into at
+// most one `results` frame per RESULTS_INTERVAL_MS carrying the tallies as
+// they stand when it is sent.
+export const broadcastTallies = (pollId) =>
+  coalesceBroadcast("RESULTS", pollId, RESULTS_INTERVAL_MS);
+
+// Send the `results` frame scheduled by broadcastTallies. The tallies are
+// read consistently: the frame is all that reports the votes coalesced into
+// it.
+export const sendTallies = async (callbackAPI, pollId) => {
+  const tallies = await getPollTallies(pollId);
+  if (!tallies) {
+    return;
+  }
+  await broadcastResults(callbackAPI, tallies.pollItem, {
+    type: "results",
+    pollId,
+    options: tallies.options,
+  });
+};
@@ -0,0 +1,44 @@
+import { createCallbackAPI, sendTallies } from "./broadcast.mjs";
+import { sendPresence } from "./presence.mjs";
+import { startBroadcast } from "./connectionRepository.mjs";
+import { createLogger } from "./logger.mjs";
+
+// Consumer of the broadcast queue. Each message ({ kind, pollId }) was
+// scheduled by coalesceBroadcast in broadcast.mjs and sends one frame of
+// that kind to the poll's watchers, built from the state of the poll when
+// it runs.
+
+const senders = {
+  RESULTS: sendTallies,
+  PRESENCE: sendPresence,
+};
+
+// Failed messages are reported so that only they are retried
+export const broadcastQueueHandler = async (event) => {
+  const log = createLogger({ job: "broadcastQueue" });
+  const callbackAPI = createCallbackAPI();
+  const batchItemFailures = [];
+
+  for (const record of event.Records) {
+    try {
+      const { kind, pollId } = JSON.parse(record.body);
+      const send = senders[kind];
+      if (!send) {
+        log.warn("Unknown broadcast kind", { kind, pollId });
+        continue;
+      }
+      // Skip polls deleted since the broadcast was scheduled
+      if (await startBroadcast(kind, pollId)) {
+        await send(callbackAPI, pollId);
+      }
+    } catch (err) {
+      log.error("Error sending broadcast", {
+        messageId: record.messageId,
+        error: err,
+      });
+      batchItemFailures.push({ itemIdentifier: record.messageId });
+    }
+  }
+
+  return { batchItemFailures };
+};
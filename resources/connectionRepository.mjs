@@ -0,0 +1,441 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  GetCommand,
+  PutCommand,
+  DeleteCommand,
+  UpdateCommand,
+  QueryCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { batchGetAll } from "./batchGet.mjs";
+import { batchWriteAll } from "./batchWrite.mjs";
+
+// Data access for the WebSocket tables:
+// - Connections:   one item per open connection (PK connectionId) holding the
+//                  user set by the authorizer
+// - Subscriptions: one item per connection and watched poll (PK connectionId,
+//                  SK POLL#<pollId>), indexed by poll through the inverted
+//                  SubscriptionsByPoll-index (SK -> PK, plus expiresAt)
+// The Connections table also holds the broadcast state of watched polls,
+// along with when the last frame was sent and whether one is scheduled (see
+// coalesceBroadcast in broadcast.mjs):
+// - PRESENCE#<pollId>: the last viewer count sent (see presence.mjs)
+// - RESULTS#<pollId>:  the scheduling state of its `results` frames (see
+//                      broadcastTallies in broadcast.mjs)
+// Both carry an `expiresAt` TTL (epoch seconds) so that connections dropped
+// without a $disconnect are eventually deleted by DynamoDB. Every message a
+// client sends pushes the TTL back, idle clients keep it alive with `ping`.
+
+const client = new DynamoDBClient({});
+const ddbDocClient = DynamoDBDocumentClient.from(client);
+
+const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE;
+const SUBSCRIPTIONS_TABLE = process.env.SUBSCRIPTIONS_TABLE;
+
+/**
+ * The user a connection was opened by, as set by connectHandler
+ * @typedef {{ email: string, name?: string, groups?: string[] }} ConnectionUser
+ *
+ * Kind of broadcast state kept per poll
+ * @typedef {"PRESENCE" | "RESULTS"} BroadcastKind
+ */
+
+// API Gateway closes connections idle for 10 minutes, so a live client is
+// heard from well within this
+export const CONNECTION_TTL_SECONDS = 15 * 60;
+
+const ttlFrom = (now) => Math.floor(now / 1000) + CONNECTION_TTL_SECONDS;
+
+const subscriptionKey = (connectionId, pollId) => ({
+  PK: connectionId,
+  SK: `POLL#${pollId}`,
+});
+
+const isConditionFailed = (err) =>
+  err.name === "ConditionalCheckFailedException";
+
+// Query of the live subscriptions to a poll. DynamoDB deletes expired items
+// hours late at times, so those of connections dropped without a
+// $disconnect are filtered out.
+const pollSubscriptionsQuery = (pollId) => ({
+  TableName: SUBSCRIPTIONS_TABLE,
+  IndexName: "SubscriptionsByPoll-index",
+  KeyConditionExpression: "SK = :sk",
+  FilterExpression: "attribute_not_exists(expiresAt) OR expiresAt > :now",
+  ExpressionAttributeValues: {
+    ":sk": `POLL#${pollId}`,
+    ":now": Math.floor(Date.now() / 1000),
+  },
+});
+
+/**
+ * @param {string} connectionId
+ * @param {ConnectionUser} user
+ */
+export const saveConnection = (connectionId, user) =>
+  ddbDocClient.send(
+    new PutCommand({
+      TableName: CONNECTIONS_TABLE,
+      Item: {
+        PK: connectionId,
+        user,
+        expiresAt: ttlFrom(Date.now()),
+      },
+    })
+  );
+
+/**
+ * User attached to a connection by connectHandler, or null
+ * @param {string} connectionId
+ * @returns {Promise<ConnectionUser | null>}
+ */
+export const getConnectionUser = async (connectionId) => {
+  const result = await ddbDocClient.send(
+    new GetCommand({
+      TableName: CONNECTIONS_TABLE,
+      Key: { PK: connectionId },
+    })
+  );
+  return result.Item?.user ?? null;
+};
+
+/**
+ * Users attached to connections, keyed by connection id
+ * @param {string[]} connectionIds
+ * @returns {Promise<Record<string, ConnectionUser>>}
+ */
+export const getConnectionUsers = async (connectionIds) => {
+  const items = await batchGetAll(
+    ddbDocClient,
+    CONNECTIONS_TABLE,
+    connectionIds.map((connectionId) => ({ PK: connectionId }))
+  );
+  return Object.fromEntries(items.map((item) => [item.PK, item.user]));
+};
+
+const getConnectionSubscriptionKeys = async (connectionId) => {
+  const keys = [];
+  let lastKey;
+
+  do {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        TableName: SUBSCRIPTIONS_TABLE,
+        KeyConditionExpression: "PK = :pk",
+        ExpressionAttributeValues: { ":pk": connectionId },
+        ProjectionExpression: "PK, SK",
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    keys.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return keys;
+};
+
+/**
+ * Push back the TTL of a connection and its subscriptions. The TTL is only
+ * rewritten once half of it has elapsed, so busy connections don't update
+ * their subscriptions on every message.
+ * @param {string} connectionId
+ * @returns {Promise<boolean>} whether the TTL was rewritten
+ */
+export const touchConnection = async (connectionId) => {
+  const expiresAt = ttlFrom(Date.now());
+  try {
+    await ddbDocClient.send(
+      new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: { PK: connectionId },
+        UpdateExpression: "SET expiresAt = :expiresAt",
+        ConditionExpression:
+          "attribute_exists(PK) AND " +
+          "(attribute_not_exists(expiresAt) OR expiresAt < :refreshBefore)",
+        ExpressionAttributeValues: {
+          ":expiresAt": expiresAt,
+          ":refreshBefore": expiresAt - CONNECTION_TTL_SECONDS / 2,
+        },
+      })
+    );
+  } catch (err) {
+    if (isConditionFailed(err)) {
+      return false;
+    }
+    throw err;
+  }
+
+  const keys = await getConnectionSubscriptionKeys(connectionId);
+  await Promise.all(
+    keys.map(async (key) => {
+      try {
+        await ddbDocClient.send(
+          new UpdateCommand({
+            TableName: SUBSCRIPTIONS_TABLE,
+            Key: key,
+            UpdateExpression: "SET expiresAt = :expiresAt",
+            // Don't bring back a subscription removed in the meantime
+            ConditionExpression: "attribute_exists(PK)",
+            ExpressionAttributeValues: { ":expiresAt": expiresAt },
+          })
+        );
+      } catch (err) {
+        if (!isConditionFailed(err)) {
+          throw err;
+        }
+      }
+    })
+  );
+  return true;
+};
+
+/**
+ * Delete a connection and every subscription it holds
+ * @param {string} connectionId
+ * @returns {Promise<string[]>} the ids of the polls it was watching
+ */
+export const removeConnection = async (connectionId) => {
+  const keys = await getConnectionSubscriptionKeys(connectionId);
+  await batchWriteAll(
+    ddbDocClient,
+    SUBSCRIPTIONS_TABLE,
+    keys.map((key) => ({ DeleteRequest: { Key: key } }))
+  );
+
+  await ddbDocClient.send(
+    new DeleteCommand({
+      TableName: CONNECTIONS_TABLE,
+      Key: { PK: connectionId },
+    })
+  );
+  return keys.map((key) => key.SK.slice("POLL#".length));
+};
+
+/**
+ * The invite token the connection subscribed with, if any, is kept so that
+ * its access to a private poll can be checked again when broadcasting
+ * @param {string} connectionId
+ * @param {string} pollId
+ * @param {string} [invite]
+ */
+export const subscribe = (connectionId, pollId, invite) => {
+  const now = Date.now();
+  return ddbDocClient.send(
+    new PutCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      Item: {
+        ...subscriptionKey(connectionId, pollId),
+        createdAt: new Date(now).toISOString(),
+        expiresAt: ttlFrom(now),
+        ...(invite && { invite }),
+      },
+    })
+  );
+};
+
+/**
+ * @param {string} connectionId
+ * @param {string} pollId
+ */
+export const unsubscribe = (connectionId, pollId) =>
+  ddbDocClient.send(
+    new DeleteCommand({
+      TableName: SUBSCRIPTIONS_TABLE,
+      Key: subscriptionKey(connectionId, pollId),
+    })
+  );
+
+/**
+ * Fetch every connection currently watching a poll
+ * @param {string} pollId
+ * @returns {Promise<string[]>} their connection ids
+ */
+export const getPollSubscribers = async (pollId) => {
+  const connectionIds = [];
+  let lastKey;
+
+  do {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        ...pollSubscriptionsQuery(pollId),
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    connectionIds.push(...result.Items.map((item) => item.PK));
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return connectionIds;
+};
+
+/**
+ * The invite tokens connections subscribed to a poll with, keyed by
+ * connection id. SubscriptionsByPoll-index doesn't hold them, so they are
+ * read from the table.
+ * @param {string} pollId
+ * @param {string[]} connectionIds
+ * @returns {Promise<Record<string, string>>}
+ */
+export const getSubscriptionInvites = async (pollId, connectionIds) => {
+  const items = await batchGetAll(
+    ddbDocClient,
+    SUBSCRIPTIONS_TABLE,
+    connectionIds.map((connectionId) => subscriptionKey(connectionId, pollId)),
+    { ProjectionExpression: "PK, invite" }
+  );
+  return Object.fromEntries(
+    items.filter((item) => item.invite).map((item) => [item.PK, item.invite])
+  );
+};
+
+/**
+ * Number of connections watching a poll
+ * @param {string} pollId
+ * @returns {Promise<number>}
+ */
+export const countPollSubscribers = async (pollId) => {
+  let count = 0;
+  let lastKey;
+
+  do {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        ...pollSubscriptionsQuery(pollId),
+        Select: "COUNT",
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    count += result.Count;
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return count;
+};
+
+const broadcastKey = (kind, pollId) => ({ PK: `${kind}#${pollId}` });
+
+// A scheduled broadcast still pending after this long is assumed lost (its
+// queue message was never sent) and may be scheduled again
+const SCHEDULE_TIMEOUT_MS = 60 * 1000;
+
+/**
+ * Schedule the next broadcast of a kind for a poll, unless one already is
+ * @param {BroadcastKind} kind
+ * @param {string} pollId
+ * @param {number} intervalMs
+ * @returns {Promise<number | null>} the number of milliseconds to wait so
+ *   that it goes out no sooner than `intervalMs` after the previous one, or
+ *   null when a broadcast is already scheduled
+ */
+export const scheduleBroadcast = async (kind, pollId, intervalMs) => {
+  const now = Date.now();
+  try {
+    const result = await ddbDocClient.send(
+      new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: broadcastKey(kind, pollId),
+        UpdateExpression: "SET scheduledAt = :now",
+        ConditionExpression:
+          "attribute_not_exists(scheduledAt) OR scheduledAt < :timedOut",
+        ExpressionAttributeValues: {
+          ":now": now,
+          ":timedOut": now - SCHEDULE_TIMEOUT_MS,
+        },
+        ReturnValues: "ALL_NEW",
+      })
+    );
+    const sentAt = result.Attributes.sentAt ?? 0;
+    return Math.max(0, sentAt + intervalMs - now);
+  } catch (err) {
+    if (isConditionFailed(err)) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Mark a scheduled broadcast as being sent. Changes made from now on
+ * schedule another one.
+ * @param {BroadcastKind} kind
+ * @param {string} pollId
+ * @returns {Promise<boolean>} false when the poll's broadcast state is gone,
+ *   e.g. because the poll was deleted
+ */
+export const startBroadcast = async (kind, pollId) => {
+  try {
+    await ddbDocClient.send(
+      new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: broadcastKey(kind, pollId),
+        UpdateExpression: "SET sentAt = :now REMOVE scheduledAt",
+        ConditionExpression: "attribute_exists(PK)",
+        ExpressionAttributeValues: { ":now": Date.now() },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (isConditionFailed(err)) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Let a broadcast be scheduled again after its queue message could not be
+ * sent
+ * @param {BroadcastKind} kind
+ * @param {string} pollId
+ */
+export const cancelBroadcast = (kind, pollId) =>
+  ddbDocClient.send(
+    new UpdateCommand({
+      TableName: CONNECTIONS_TABLE,
+      Key: broadcastKey(kind, pollId),
+      UpdateExpression: "REMOVE scheduledAt",
+    })
+  );
+
+/**
+ * Record the viewer count last sent for a poll
+ * @param {string} pollId
+ * @param {number} viewers
+ * @returns {Promise<boolean>} false when it is the one already recorded
+ */
+export const savePresenceCount = async (pollId, viewers) => {
+  try {
+    await ddbDocClient.send(
+      new UpdateCommand({
+        TableName: CONNECTIONS_TABLE,
+        Key: broadcastKey("PRESENCE", pollId),
+        UpdateExpression: "SET viewers = :viewers, expiresAt = :expiresAt",
+        ConditionExpression:
+          "attribute_not_exists(viewers) OR viewers <> :viewers",
+        ExpressionAttributeValues: {
+          ":viewers": viewers,
+          ":expiresAt": ttlFrom(Date.now()),
+        },
+      })
+    );
+    return true;
+  } catch (err) {
+    if (isConditionFailed(err)) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Forget the broadcast state of a deleted poll
+ * @param {string} pollId
+ */
+export const removeBroadcastState = (pollId) =>
+  batchWriteAll(
+    ddbDocClient,
+    CONNECTIONS_TABLE,
+    ["PRESENCE", "RESULTS"].map((kind) => ({
+      DeleteRequest: { Key: broadcastKey(kind, pollId) },
+    }))
+  );
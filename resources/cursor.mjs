@@ -0,0 +1,70 @@
+import { ValidationError } from "./validation.mjs";
+import { signToken, verifySignature } from "./signing.mjs";
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+
+// Raised for a malformed or tampered cursor or limit
+export class PaginationError extends ValidationError {
+  constructor(field, message) {
+    super([{ field, message }]);
+  }
+}
+
+// Opaque pagination cursor shared by every list route:
+// base64url(JSON { scope, key }) signed with CURSOR_SECRET (see signing.mjs).
+// The scope names the list the cursor belongs to (route plus any fixed
+// filter such as the owner) so a cursor can't be replayed elsewhere.
+// Resolves to null when there is no next page.
+export const encodeCursor = (lastEvaluatedKey, scope) => {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+  const payload = Buffer.from(
+    JSON.stringify({ scope, key: lastEvaluatedKey })
+  ).toString("base64url");
+  return signToken("CURSOR_SECRET", payload);
+};
+
+// Turn a cursor from the query string back into an ExclusiveStartKey
+export const decodeCursor = (cursor, scope) => {
+  if (cursor === undefined || cursor === null || cursor === "") {
+    return undefined;
+  }
+
+  const [payload, signature, ...rest] = String(cursor).split(".");
+  if (!payload || !signature || rest.length > 0) {
+    throw new PaginationError("lastKey", "is malformed");
+  }
+
+  if (!verifySignature("CURSOR_SECRET", payload, signature)) {
+    throw new PaginationError("lastKey", "is invalid");
+  }
+
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (err) {
+    throw new PaginationError("lastKey", "is malformed");
+  }
+  if (
+    decoded?.scope !== scope ||
+    !decoded.key ||
+    typeof decoded.key !== "object"
+  ) {
+    throw new PaginationError("lastKey", "does not belong to this list");
+  }
+  return decoded.key;
+};
+
+// Page size from the query string, capped at MAX_PAGE_SIZE
+export const parseLimit = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return DEFAULT_PAGE_SIZE;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new PaginationError("limit", "must be a positive integer");
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
@@ -0,0 +1,75 @@
+// Error model shared by the REST routes and the WebSocket actions. Problems
+// the client can act on are raised as an AppError carrying a stable,
+// machine-readable code; REST routes answer with `{ error: { code, message } }`
+// and the HTTP status of the code, WebSocket actions put the same `error`
+// object in their reply frame. Any other error is logged and reported as
+// INTERNAL_ERROR, without its message.
+
+export const ERROR_CODES = {
+  VALIDATION_FAILED: "VALIDATION_FAILED",
+  OPTION_NOT_FOUND: "OPTION_NOT_FOUND",
+  UNKNOWN_ACTION: "UNKNOWN_ACTION",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  NOT_OWNER: "NOT_OWNER",
+  INVITE_INVALID: "INVITE_INVALID",
+  POLL_NOT_FOUND: "POLL_NOT_FOUND",
+  ROUTE_NOT_FOUND: "ROUTE_NOT_FOUND",
+  METHOD_NOT_ALLOWED: "METHOD_NOT_ALLOWED",
+  POLL_CLOSED: "POLL_CLOSED",
+  OPTION_HAS_VOTES: "OPTION_HAS_VOTES",
+  NOT_VOTED: "NOT_VOTED",
+  CONFLICT: "CONFLICT",
+  RATE_LIMITED: "RATE_LIMITED",
+  INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+const STATUS_CODES = {
+  VALIDATION_FAILED: 400,
+  OPTION_NOT_FOUND: 400,
+  UNKNOWN_ACTION: 400,
+  UNAUTHORIZED: 401,
+  NOT_OWNER: 403,
+  INVITE_INVALID: 403,
+  POLL_NOT_FOUND: 404,
+  ROUTE_NOT_FOUND: 404,
+  METHOD_NOT_ALLOWED: 405,
+  POLL_CLOSED: 409,
+  OPTION_HAS_VOTES: 409,
+  NOT_VOTED: 409,
+  CONFLICT: 409,
+  RATE_LIMITED: 429,
+  INTERNAL_ERROR: 500,
+};
+
+// `details` holds extra fields for the client, such as the field-level
+// `errors` of a ValidationError
+export class AppError extends Error {
+  constructor(code, message, details) {
+    super(message);
+    this.code = code;
+    this.statusCode = STATUS_CODES[code];
+    this.details = details;
+  }
+}
+
+// The `error` object sent to the client
+export const errorBody = (err) =>
+  err instanceof AppError
+    ? { code: err.code, message: err.message, ...err.details }
+    : { code: ERROR_CODES.INTERNAL_ERROR, message: "Internal server error" };
+
+// REST response for an error thrown by a handler; unexpected errors are
+// logged with `message`. Errors carrying a `retryAfter` (in seconds) set the
+// Retry-After header.
+export const errorResponse = (err, log, message) => {
+  if (!(err instanceof AppError)) {
+    log.error(message, { error: err });
+  }
+  return {
+    statusCode: err instanceof AppError ? err.statusCode : 500,
+    ...(err.retryAfter !== undefined && {
+      headers: { "Retry-After": String(err.retryAfter) },
+    }),
+    body: JSON.stringify({ error: errorBody(err) }),
+  };
+};
@@ -0,0 +1,85 @@
+// Structured logger writing one JSON line per entry:
+// { level, time, message, ...context, ...fields }
+// The context carries the correlation ids of the invocation (API Gateway
+// request id, WebSocket connection id, Cognito sub). Tokens and emails are
+// redacted from everything that is logged. LOG_LEVEL (debug, info, warn or
+// error, default info) sets the lowest level written.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEY = /token|authorization|secret|password|cookie/i;
+const JWT = /eyJ[\w-]+\.[\w-]+\.[\w-]*/g;
+const EMAIL = /[\w.+-]+@[\w-]+(\.[\w-]+)+/g;
+
+// Copy of a value safe to log: secret-looking keys are blanked and JWTs and
+// emails are masked inside strings
+export const redact = (value, key = "") => {
+  if (SECRET_KEY.test(key) && value !== undefined && value !== null) {
+    return "[REDACTED]";
+  }
+  if (typeof value === "string") {
+    return value.replace(JWT, "[REDACTED]").replace(EMAIL, "[EMAIL]");
+  }
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: redact(value.message),
+      stack: redact(value.stack),
+    };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item));
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([k, v]) => [k, redact(v, k)])
+    );
+  }
+  return value;
+};
+
+const minLevel = () =>
+  LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LEVELS.info;
+
+export const createLogger = (context = {}) => {
+  const write = (level) => (message, fields = {}) => {
+    if (LEVELS[level] < minLevel()) {
+      return;
+    }
+    const entry = JSON.stringify({
+      level,
+      time: new Date().toISOString(),
+      message,
+      ...redact({ ...context, ...fields }),
+    });
+    if (level === "error") {
+      console.error(entry);
+    } else if (level === "warn") {
+      console.warn(entry);
+    } else {
+      console.log(entry);
+    }
+  };
+
+  return {
+    debug: write("debug"),
+    info: write("info"),
+    warn: write("warn"),
+    error: write("error"),
+    // Logger adding more context, e.g. the action of a WebSocket message
+    child: (extra) => createLogger({ ...context, ...extra }),
+  };
+};
+
+// Logger for an API Gateway event (REST request, WebSocket route or
+// authorizer call). REST requests carry the Cognito claims, WebSocket routes
+// the context set by webSocketAuthorizerHandler.
+export const loggerFor = (event) => {
+  const { requestContext = {} } = event;
+  const authorizer = requestContext.authorizer || {};
+  return createLogger({
+    requestId: requestContext.requestId,
+    connectionId: requestContext.connectionId,
+    userSub: authorizer.claims?.sub ?? authorizer.userId,
+  });
+};
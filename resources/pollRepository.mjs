@@ -0,0 +1,1485 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  GetCommand,
+  UpdateCommand,
+  TransactWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { batchGetAll } from "./batchGet.mjs";
+import { batchWriteAll } from "./batchWrite.mjs";
+import { POLL_STATUS } from "./pollStatus.mjs";
+import { POLL_TYPES, choiceKey, countedOptionIds } from "./pollTypes.mjs";
+import {
+  TRENDING_PARTITION,
+  TREND_SCORE_BASE,
+  trendingHour,
+  trendingScore,
+  trendingScoreFloor,
+} from "./trending.mjs";
+import { POLL_ACCESS, isListed } from "./access.mjs";
+import { createLogger } from "./logger.mjs";
+
+// Data access for the Polls table. Every item of a poll lives in the
+// POLL#<pollId> partition:
+// - SK "POLL":           the poll itself, indexed by the GSIs below
+// - SK "OPTION#<id>":    an option and its votesCount
+// - SK "VOTE#<email>":   a user's vote, indexed by voter
+// GSIs: PollsByCreatedAt-index (GSI1PK "POLL"), PollsByOwner-index
+// (GSI2PK OWNER#<email>), PollsByClosesAt-index (GSI3PK "OPEN", open polls
+// with a deadline), PollsByTotalVotes-index (GSI1PK), PollsByTrend-index
+// (GSI4PK TRENDING, see trending.mjs) and VotesByVoter-index (GSI5PK
+// VOTER#<email>). Unlisted and private polls get no GSI1PK or GSI4PK, which
+// keeps them out of the feeds and search (see access.mjs). The client
+// honours AWS_ENDPOINT_URL_DYNAMODB, so the module runs against DynamoDB
+// Local as well.
+//
+// Every transaction changing a poll's options or their counts also bumps
+// the POLL item's talliesVersion, which stamps the frames built from them
+// (see getPollTallies).
+
+const client = new DynamoDBClient({ region: process.env.AWS_REGION });
+const ddbDocClient = DynamoDBDocumentClient.from(client);
+const log = createLogger({ module: "pollRepository" });
+
+const POLLS_TABLE = process.env.POLLS_TABLE;
+
+/**
+ * @typedef {{ PK: string, SK: string }} ItemKey
+ *
+ * @typedef {{ email: string, name?: string }} User
+ *
+ * A POLL item. Polls written before a field existed may lack it: no `type`
+ * means single choice, no `status` open, no `access` public.
+ * @typedef {ItemKey & {
+ *   pollId: string,
+ *   question: string,
+ *   owner: User,
+ *   createdAt: string,
+ *   updatedAt?: string,
+ *   type?: string,
+ *   optionIds?: number[],
+ *   totalVotes?: number,
+ *   searchText?: string,
+ *   visibility?: string,
+ *   resultsVisibility?: string,
+ *   maxChoices?: number,
+ *   status?: string,
+ *   closesAt?: string,
+ *   closedAt?: string,
+ *   results?: OptionDto[],
+ *   access?: string,
+ *   allowedEmails?: string[],
+ *   allowedGroups?: string[],
+ *   trendHour?: number,
+ *   trendVotes?: number,
+ *   prevVotes?: number,
+ *   trendScore?: number,
+ *   talliesVersion?: number,
+ * }} PollItem
+ *
+ * An OPTION# item; `rankedCount` is only kept on ranked polls
+ * @typedef {ItemKey & {
+ *   optionId?: number,
+ *   text: string,
+ *   votesCount: number,
+ *   rankedCount?: number,
+ * }} OptionItem
+ *
+ * @typedef {{ id: number, text: string, votesCount: number }} OptionDto
+ *
+ * The selection of a vote, by poll type: `optionId` (single choice),
+ * `optionIds` (multiple choice) or `ranking` (ranked, most preferred first)
+ * @typedef {{
+ *   optionId?: number,
+ *   optionIds?: number[],
+ *   ranking?: number[],
+ * }} Choice
+ *
+ * A VOTE# item
+ * @typedef {ItemKey & Choice & {
+ *   pollId: string,
+ *   user: User,
+ *   createdAt: string,
+ *   firstVotedAt?: string,
+ *   invite?: string,
+ *   GSI5PK?: string,
+ * }} VoteItem
+ *
+ * Where a page starts: `lastKey` is the previous page's
+ * @typedef {{ limit?: number, lastKey?: Record<string, any> }} PageParams
+ */
+
+/**
+ * @template T
+ * @typedef {{ items: T[], lastKey?: Record<string, any> }} Page
+ */
+
+/**
+ * @param {string} pollId
+ * @returns {string}
+ */
+export const pollPartition = (pollId) => `POLL#${pollId}`;
+
+/**
+ * @param {string} pollId
+ * @returns {ItemKey}
+ */
+export const pollKey = (pollId) => ({ PK: pollPartition(pollId), SK: "POLL" });
+
+/**
+ * @param {string} pollId
+ * @param {number} optionId
+ * @returns {ItemKey}
+ */
+export const optionKey = (pollId, optionId) => ({
+  PK: pollPartition(pollId),
+  SK: `OPTION#${optionId}`,
+});
+
+/**
+ * @param {string} pollId
+ * @param {string} email
+ * @returns {ItemKey}
+ */
+export const voteKey = (pollId, email) => ({
+  PK: pollPartition(pollId),
+  SK: `VOTE#${email}`,
+});
+
+/**
+ * Options as returned to clients, ordered by id. Option items carry their
+ * optionId, which is also the suffix of their SK.
+ * @param {OptionItem[]} optionItems
+ * @returns {OptionDto[]}
+ */
+export const toOptionDtos = (optionItems) =>
+  optionItems
+    .map((opt) => ({
+      id: opt.optionId ?? Number(opt.SK.slice("OPTION#".length)),
+      text: opt.text,
+      votesCount: opt.votesCount,
+    }))
+    .sort((a, b) => a.id - b.id);
+
+/**
+ * Lower-cased question and option texts, matched by searchPolls
+ * @param {string} question
+ * @param {string[]} optionTexts
+ * @returns {string}
+ */
+export const buildSearchText = (question, optionTexts) =>
+  [question, ...optionTexts].join("\n").toLowerCase();
+
+/**
+ * Resolves to the POLL item, or null when the poll does not exist
+ * @param {string} pollId
+ * @param {{ consistent?: boolean }} [options]
+ * @returns {Promise<PollItem | null>}
+ */
+export const getPoll = async (pollId, { consistent = false } = {}) => {
+  const result = await ddbDocClient.send(
+    new GetCommand({
+      TableName: POLLS_TABLE,
+      Key: pollKey(pollId),
+      ConsistentRead: consistent,
+    })
+  );
+  return result.Item || null;
+};
+
+/**
+ * Every item of a poll, or null when the poll does not exist
+ * @param {string} pollId
+ * @returns {Promise<{
+ *   pollItem: PollItem,
+ *   optionItems: OptionItem[],
+ *   voteItems: VoteItem[],
+ * } | null>}
+ */
+export const getPollItems = async (pollId) => {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        TableName: POLLS_TABLE,
+        KeyConditionExpression: "PK = :pk",
+        ExpressionAttributeValues: { ":pk": pollPartition(pollId) },
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  const pollItem = items.find((item) => item.SK === "POLL");
+  if (!pollItem) {
+    return null;
+  }
+  return {
+    pollItem,
+    optionItems: items.filter((item) => item.SK.startsWith("OPTION#")),
+    voteItems: items.filter((item) => item.SK.startsWith("VOTE#")),
+  };
+};
+
+/**
+ * The POLL item and its option items in one consistent read (OPTION# sorts
+ * before POLL, VOTE# after). Resolves to null when the poll does not exist.
+ * @param {string} pollId
+ * @returns {Promise<{
+ *   pollItem: PollItem,
+ *   optionItems: OptionItem[],
+ * } | null>}
+ */
+export const getPollWithOptions = async (pollId) => {
+  const result = await ddbDocClient.send(
+    new QueryCommand({
+      TableName: POLLS_TABLE,
+      KeyConditionExpression: "PK = :pk AND SK <= :poll",
+      ExpressionAttributeValues: {
+        ":pk": pollPartition(pollId),
+        ":poll": "POLL",
+      },
+      ConsistentRead: true,
+    })
+  );
+  const pollItem = result.Items.find((item) => item.SK === "POLL");
+  if (!pollItem) {
+    return null;
+  }
+  return {
+    pollItem,
+    optionItems: result.Items.filter((item) =>
+      item.SK.startsWith("OPTION#")
+    ),
+  };
+};
+
+const queryPollPrefix = async (pollId, prefix, consistent) => {
+  const items = [];
+  let lastKey;
+
+  do {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        TableName: POLLS_TABLE,
+        KeyConditionExpression: "PK = :pk AND begins_with(SK, :skPrefix)",
+        ExpressionAttributeValues: {
+          ":pk": pollPartition(pollId),
+          ":skPrefix": prefix,
+        },
+        ConsistentRead: consistent,
+        ExclusiveStartKey: lastKey,
+      })
+    );
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+  } while (lastKey);
+
+  return items;
+};
+
+/**
+ * The options of a poll as option DTOs
+ * @param {string} pollId
+ * @param {{ consistent?: boolean }} [options]
+ * @returns {Promise<OptionDto[]>}
+ */
+export const getPollOptions = async (pollId, { consistent = false } = {}) =>
+  toOptionDtos(await queryPollPrefix(pollId, "OPTION#", consistent));
+
+/**
+ * A poll's current options along with its POLL item, whose talliesVersion
+ * they are stamped with. The POLL item is read first: the options read next
+ * are then at least as recent as its version, and any change committed in
+ * between gets a higher version of its own.
+ * @param {string} pollId
+ * @returns {Promise<{ pollItem: PollItem, options: OptionDto[] } | null>}
+ */
+export const getPollTallies = async (pollId) => {
+  const pollItem = await getPoll(pollId, { consistent: true });
+  if (!pollItem) {
+    return null;
+  }
+  return {
+    pollItem,
+    options: await getPollOptions(pollId, { consistent: true }),
+  };
+};
+
+/**
+ * Resolves to a user's VOTE# item on a poll, or null
+ * @param {string} pollId
+ * @param {string} email
+ * @param {{ consistent?: boolean }} [options]
+ * @returns {Promise<VoteItem | null>}
+ */
+export const getVote = async (pollId, email, { consistent = false } = {}) => {
+  const result = await ddbDocClient.send(
+    new GetCommand({
+      TableName: POLLS_TABLE,
+      Key: voteKey(pollId, email),
+      ConsistentRead: consistent,
+    })
+  );
+  return result.Item || null;
+};
+
+/**
+ * The VOTE# item recording a user's choice (see choiceSchema in voting.mjs).
+ * firstVotedAt stays the time of the user's first vote across changes.
+ * `invite` is the token a vote on a private poll was cast with, when the
+ * voter needed one to access it (see getMyVotesHandler).
+ * @param {string} pollId
+ * @param {Choice} choice
+ * @param {User} user
+ * @param {{ createdAt: string, firstVotedAt: string, invite?: string }} fields
+ * @returns {VoteItem}
+ */
+export const newVoteItem = (
+  pollId,
+  choice,
+  user,
+  { createdAt, firstVotedAt, invite }
+) => ({
+  ...voteKey(pollId, user.email),
+  pollId,
+  ...choice,
+  user: { email: user.email, name: user.name },
+  createdAt,
+  firstVotedAt,
+  ...(invite && { invite }),
+  // Lists the user's votes in VotesByVoter-index, latest first
+  GSI5PK: `VOTER#${user.email}`,
+});
+
+/**
+ * The emails, among the given ones, of users who voted on a poll
+ * @param {string} pollId
+ * @param {string[]} emails
+ * @returns {Promise<Set<string>>}
+ */
+export const getVoterEmails = async (pollId, emails) => {
+  const items = await batchGetAll(
+    ddbDocClient,
+    POLLS_TABLE,
+    emails.map((email) => voteKey(pollId, email)),
+    { ProjectionExpression: "SK" }
+  );
+  return new Set(items.map((item) => item.SK.slice("VOTE#".length)));
+};
+
+/**
+ * POLL items by id, in no particular order; missing polls are left out
+ * @param {string[]} pollIds
+ * @returns {Promise<PollItem[]>}
+ */
+export const getPollsByIds = (pollIds) =>
+  batchGetAll(ddbDocClient, POLLS_TABLE, pollIds.map(pollKey));
+
+// Index queries behind the `sort` values of the poll feeds
+const POLL_FEEDS = {
+  newest: () => ({
+    IndexName: "PollsByCreatedAt-index",
+    KeyConditionExpression: "GSI1PK = :pk",
+    ExpressionAttributeValues: { ":pk": "POLL" },
+    ScanIndexForward: false,
+  }),
+  // Polls voted on during the current or previous hour, ranked by
+  // listTrendingPolls
+  trending: () => ({
+    IndexName: "PollsByTrend-index",
+    KeyConditionExpression: "GSI4PK = :pk AND trendScore >= :floor",
+    ExpressionAttributeValues: {
+      ":pk": TRENDING_PARTITION,
+      ":floor": trendingScoreFloor(),
+    },
+    ScanIndexForward: false,
+  }),
+  mostVoted: () => ({
+    IndexName: "PollsByTotalVotes-index",
+    KeyConditionExpression: "GSI1PK = :pk",
+    ExpressionAttributeValues: { ":pk": "POLL" },
+    ScanIndexForward: false,
+  }),
+  // Open polls with a deadline, closest first. The index also serves the
+  // scheduled closer, so polls that aren't listed are filtered out and a
+  // page may hold fewer than `limit` polls.
+  endingSoon: () => ({
+    IndexName: "PollsByClosesAt-index",
+    KeyConditionExpression: "GSI3PK = :pk AND closesAt > :now",
+    FilterExpression: "attribute_not_exists(#access) OR #access = :public",
+    ExpressionAttributeNames: { "#access": "access" },
+    ExpressionAttributeValues: {
+      ":pk": "OPEN",
+      ":now": new Date().toISOString(),
+      ":public": POLL_ACCESS.PUBLIC,
+    },
+    ScanIndexForward: true,
+  }),
+};
+
+/** @type {string[]} */
+export const POLL_FEED_SORTS = Object.keys(POLL_FEEDS);
+
+/**
+ * @param {Record<string, any>} params the Query's index and conditions
+ * @param {PageParams} page
+ * @returns {Promise<Page<any>>}
+ */
+const queryPage = async (params, { limit, lastKey }) => {
+  const result = await ddbDocClient.send(
+    new QueryCommand({
+      TableName: POLLS_TABLE,
+      ...params,
+      Limit: limit,
+      ExclusiveStartKey: lastKey,
+    })
+  );
+  return { items: result.Items, lastKey: result.LastEvaluatedKey };
+};
+
+// Polls are ranked by their sliding trending score, which the index can't
+// sort by, so the feed ranks this many of the polls voted on during the
+// last two hours, most active this hour first
+const MAX_TRENDING_CANDIDATES = 200;
+
+/**
+ * Pages of the trending feed are slices of the ranking; lastKey holds the
+ * offset of the next one
+ * @param {PageParams} page
+ * @returns {Promise<Page<PollItem>>}
+ */
+const listTrendingPolls = async ({ limit, lastKey }) => {
+  const now = new Date();
+  const candidates = [];
+  let indexKey;
+  do {
+    const page = await queryPage(POLL_FEEDS.trending(), {
+      limit: MAX_TRENDING_CANDIDATES - candidates.length,
+      lastKey: indexKey,
+    });
+    candidates.push(...page.items);
+    indexKey = page.lastKey;
+  } while (indexKey && candidates.length < MAX_TRENDING_CANDIDATES);
+
+  const ranked = candidates
+    .map((item) => ({ item, score: trendingScore(item, now) }))
+    .filter(({ score }) => score > 0)
+    .sort(
+      (a, b) => b.score - a.score || a.item.pollId.localeCompare(b.item.pollId)
+    )
+    .map(({ item }) => item);
+
+  const offset = lastKey?.offset ?? 0;
+  const end = offset + limit;
+  return {
+    items: ranked.slice(offset, end),
+    lastKey: end < ranked.length ? { offset: end } : undefined,
+  };
+};
+
+/**
+ * A page of one of the poll feeds
+ * @param {string} sort one of POLL_FEED_SORTS
+ * @param {PageParams} page
+ * @returns {Promise<Page<PollItem>>}
+ */
+export const listPolls = (sort, page) =>
+  sort === "trending"
+    ? listTrendingPolls(page)
+    : queryPage(POLL_FEEDS[sort](), page);
+
+/**
+ * A page of the polls created by a user, newest first
+ * @param {string} email
+ * @param {PageParams} page
+ * @returns {Promise<Page<PollItem>>}
+ */
+export const listPollsByOwner = (email, page) =>
+  queryPage(
+    {
+      IndexName: "PollsByOwner-index",
+      KeyConditionExpression: "GSI2PK = :owner",
+      ExpressionAttributeValues: { ":owner": `OWNER#${email}` },
+      ScanIndexForward: false,
+    },
+    page
+  );
+
+/**
+ * A page of the VOTE# items of a user, latest vote first
+ * @param {string} email
+ * @param {PageParams} page
+ * @returns {Promise<Page<VoteItem>>}
+ */
+export const listVotesByVoter = (email, page) =>
+  queryPage(
+    {
+      IndexName: "VotesByVoter-index",
+      KeyConditionExpression: "GSI5PK = :voter",
+      ExpressionAttributeValues: { ":voter": `VOTER#${email}` },
+      ScanIndexForward: false,
+    },
+    page
+  );
+
+/**
+ * A page of the open polls whose deadline is at or before `now`
+ * @param {string} now
+ * @param {Record<string, any>} [lastKey]
+ * @returns {Promise<Page<PollItem>>}
+ */
+export const listExpiredPolls = (now, lastKey) =>
+  queryPage(
+    {
+      IndexName: "PollsByClosesAt-index",
+      KeyConditionExpression: "GSI3PK = :open AND closesAt <= :now",
+      ExpressionAttributeValues: { ":open": "OPEN", ":now": now },
+    },
+    { lastKey }
+  );
+
+// Index pages of up to SEARCH_PAGE_SIZE polls read per search at most; the
+// returned key resumes the scan when they run out before a page is full
+const MAX_SEARCH_PAGES = 10;
+const SEARCH_PAGE_SIZE = 100;
+
+// Build the FilterExpression parts for the search filters
+const buildSearchFilters = ({ terms, status, owner, type }, now) => {
+  const conditions = [];
+  const names = {};
+  const values = {};
+
+  // Polls created before searchText existed only match on their question,
+  // and case-sensitively: the terms are lower case
+  terms.forEach((term, i) => {
+    conditions.push(
+      `(contains(searchText, :term${i}) OR ` +
+        `(attribute_not_exists(searchText) AND contains(question, :term${i})))`
+    );
+    values[`:term${i}`] = term;
+  });
+
+  if (status) {
+    names["#status"] = "status";
+    values[":closed"] = POLL_STATUS.CLOSED;
+    values[":now"] = now;
+    conditions.push(
+      status === POLL_STATUS.CLOSED
+        ? "(#status = :closed OR closesAt <= :now)"
+        : "(attribute_not_exists(#status) OR #status <> :closed) AND " +
+            "(attribute_not_exists(closesAt) OR closesAt > :now)"
+    );
+  }
+
+  if (owner) {
+    conditions.push("GSI2PK = :owner");
+    values[":owner"] = `OWNER#${owner}`;
+  }
+
+  if (type) {
+    names["#type"] = "type";
+    values[":type"] = type;
+    // Polls created before poll types existed are single choice
+    conditions.push(
+      type === POLL_TYPES.SINGLE
+        ? "(attribute_not_exists(#type) OR #type = :type)"
+        : "#type = :type"
+    );
+  }
+
+  return { conditions, names, values };
+};
+
+/**
+ * A page of the polls matching the search criteria, newest first. Every
+ * term must appear in the poll's searchText (or question, for polls without
+ * one); `status`, `owner`, `type` and a `from`/`to` creation date range
+ * narrow the results. Polls are read from PollsByCreatedAt-index and
+ * filtered by DynamoDB, so a page may hold fewer than `limit` polls while
+ * `lastKey` still points to more.
+ * @param {{
+ *   terms: string[],
+ *   status?: string,
+ *   owner?: string,
+ *   type?: string,
+ *   from?: string,
+ *   to?: string,
+ * }} criteria
+ * @param {PageParams & { limit: number }} page
+ * @returns {Promise<Page<PollItem>>}
+ */
+export const searchPolls = async (
+  { terms, status, owner, type, from, to },
+  { limit, lastKey }
+) => {
+  let keyCondition = "GSI1PK = :pk";
+  if (from && to) {
+    keyCondition += " AND createdAt BETWEEN :from AND :to";
+  } else if (from) {
+    keyCondition += " AND createdAt >= :from";
+  } else if (to) {
+    keyCondition += " AND createdAt <= :to";
+  }
+
+  const filters = buildSearchFilters(
+    { terms, status, owner, type },
+    new Date().toISOString()
+  );
+
+  const items = [];
+  for (let page = 0; page < MAX_SEARCH_PAGES; page++) {
+    const result = await ddbDocClient.send(
+      new QueryCommand({
+        TableName: POLLS_TABLE,
+        IndexName: "PollsByCreatedAt-index",
+        KeyConditionExpression: keyCondition,
+        ...(filters.conditions.length > 0 && {
+          FilterExpression: filters.conditions.join(" AND "),
+        }),
+        ...(Object.keys(filters.names).length > 0 && {
+          ExpressionAttributeNames: filters.names,
+        }),
+        ExpressionAttributeValues: {
+          ":pk": "POLL",
+          ...(from && { ":from": from }),
+          ...(to && { ":to": to }),
+          ...filters.values,
+        },
+        Limit: SEARCH_PAGE_SIZE,
+        ExclusiveStartKey: lastKey,
+        ScanIndexForward: false,
+      })
+    );
+
+    const needed = limit - items.length;
+    if (result.Items.length >= needed) {
+      // Resume right after the last poll returned, even mid index page
+      items.push(...result.Items.slice(0, needed));
+      const last = items[items.length - 1];
+      return {
+        items,
+        lastKey:
+          result.Items.length > needed || result.LastEvaluatedKey
+            ? {
+                PK: last.PK,
+                SK: last.SK,
+                GSI1PK: last.GSI1PK,
+                createdAt: last.createdAt,
+              }
+            : undefined,
+      };
+    }
+
+    items.push(...result.Items);
+    lastKey = result.LastEvaluatedKey;
+    if (!lastKey) {
+      break;
+    }
+  }
+
+  return { items, lastKey };
+};
+
+/**
+ * Load the options of a page of polls, and the user's vote on each of them
+ * when userEmail is given, with one BatchGet per 100 keys rather than a
+ * Query and a Get per poll. POLL items list their optionIds for this; polls
+ * created before that attribute existed fall back to a Query, run in
+ * parallel.
+ * @param {PollItem[]} pollItems
+ * @param {string} [userEmail]
+ * @returns {Promise<{
+ *   optionsByPoll: Map<string, OptionDto[]>,
+ *   votesByPoll: Map<string, VoteItem>,
+ * }>} maps keyed by pollId
+ */
+export const getPollsPageDetails = async (pollItems, userEmail) => {
+  const indexed = pollItems.filter((pollItem) => pollItem.optionIds);
+  const legacy = pollItems.filter((pollItem) => !pollItem.optionIds);
+
+  const keys = [
+    ...indexed.flatMap((pollItem) =>
+      pollItem.optionIds.map((optionId) => optionKey(pollItem.pollId, optionId))
+    ),
+    ...(userEmail
+      ? pollItems.map((pollItem) => voteKey(pollItem.pollId, userEmail))
+      : []),
+  ];
+
+  const [items, legacyOptions] = await Promise.all([
+    batchGetAll(ddbDocClient, POLLS_TABLE, keys),
+    Promise.all(
+      legacy.map((pollItem) =>
+        queryPollPrefix(pollItem.pollId, "OPTION#", false)
+      )
+    ),
+  ]);
+
+  const optionItems = [
+    ...items.filter((item) => item.SK.startsWith("OPTION#")),
+    ...legacyOptions.flat(),
+  ];
+  const optionsByPoll = new Map(
+    pollItems.map((pollItem) => [
+      pollItem.pollId,
+      toOptionDtos(
+        optionItems.filter((opt) => opt.PK === pollPartition(pollItem.pollId))
+      ),
+    ])
+  );
+  const votesByPoll = new Map(
+    items
+      .filter((item) => item.SK.startsWith("VOTE#"))
+      .map((vote) => [vote.PK.slice("POLL#".length), vote])
+  );
+
+  return { optionsByPoll, votesByPoll };
+};
+
+/**
+ * Write a new poll and its options, numbered from 1
+ * @param {{
+ *   pollId: string,
+ *   question: string,
+ *   owner: User,
+ *   createdAt: string,
+ *   type: string,
+ *   visibility: string,
+ *   resultsVisibility: string,
+ *   maxChoices?: number,
+ *   closesAt?: string,
+ *   access: string,
+ *   allowedEmails?: string[],
+ *   allowedGroups?: string[],
+ *   options: string[],
+ * }} poll
+ * @returns {Promise<void>}
+ */
+export const createPoll = async ({
+  pollId,
+  question,
+  owner,
+  createdAt,
+  type,
+  visibility,
+  resultsVisibility,
+  maxChoices,
+  closesAt,
+  access,
+  allowedEmails,
+  allowedGroups,
+  options,
+}) => {
+  const accessFields = {
+    access,
+    ...(allowedEmails?.length && { allowedEmails }),
+    ...(allowedGroups?.length && { allowedGroups }),
+  };
+  const items = [
+    {
+      ...pollKey(pollId),
+      pollId,
+      question,
+      owner: { email: owner.email, name: owner.name },
+      createdAt,
+      type,
+      // Lets the list handlers batch-fetch options, kept in sync by edits
+      optionIds: options.map((opt, i) => i + 1),
+      totalVotes: 0,
+      searchText: buildSearchText(question, options),
+      visibility,
+      resultsVisibility,
+      ...accessFields,
+      ...(maxChoices !== undefined && { maxChoices }),
+      status: POLL_STATUS.OPEN,
+      // Only listed polls are indexed for the feeds and search
+      ...(isListed(accessFields) && { GSI1PK: "POLL" }),
+      GSI2PK: `OWNER#${owner.email}`,
+      // Only polls with a deadline are indexed for the scheduled closer
+      ...(closesAt && { closesAt, GSI3PK: "OPEN" }),
+    },
+    ...options.map((text, i) => ({
+      ...optionKey(pollId, i + 1),
+      optionId: i + 1,
+      text,
+      votesCount: 0,
+    })),
+  ];
+
+  await batchWriteAll(
+    ddbDocClient,
+    POLLS_TABLE,
+    items.map((Item) => ({ PutRequest: { Item } }))
+  );
+};
+
+// An option is on no vote: counted by no vote and, on ranked polls, ranked
+// on no ballot (see optionCountChanges)
+const NO_VOTES_CONDITION =
+  "votesCount = :zero AND " +
+  "(attribute_not_exists(rankedCount) OR rankedCount = :zero)";
+
+/**
+ * Apply an edit to a poll in one transaction: the question, reworded
+ * options, removed option ids and added options, along with the resulting
+ * `optionIds` and option texts, a new `maxChoices` and new access settings
+ * when given. Reworded and removed options must still have no votes (on no
+ * ballot, for ranked polls), and the poll's option list must still be
+ * `pollItem.optionIds`; otherwise the transaction is cancelled
+ * (TransactionCanceledException).
+ * @param {PollItem} pollItem the poll as read before the edit
+ * @param {{
+ *   question?: string,
+ *   updateOptions: { id: number, text: string }[],
+ *   removeOptions: number[],
+ *   addOptions: { id: number, text: string }[],
+ *   optionIds: number[],
+ *   optionTexts: string[],
+ *   maxChoices?: number,
+ *   access?: {
+ *     access: string,
+ *     allowedEmails?: string[],
+ *     allowedGroups?: string[],
+ *   },
+ *   updatedAt: string,
+ * }} edit
+ * @returns {Promise<void>}
+ */
+export const updatePoll = async (
+  pollItem,
+  {
+    question,
+    updateOptions,
+    removeOptions,
+    addOptions,
+    optionIds,
+    optionTexts,
+    maxChoices,
+    access,
+    updatedAt,
+  }
+) => {
+  const { pollId } = pollItem;
+  const sets = [
+    "updatedAt = :now",
+    "optionIds = :optionIds",
+    "searchText = :searchText",
+    ...(question !== undefined ? ["question = :question"] : []),
+    ...(maxChoices !== undefined ? ["maxChoices = :maxChoices"] : []),
+  ];
+  const removes = [];
+  if (access) {
+    sets.push("#access = :access");
+    for (const name of ["allowedEmails", "allowedGroups"]) {
+      if (access[name]?.length) {
+        sets.push(`${name} = :${name}`);
+      } else {
+        removes.push(name);
+      }
+    }
+    // Moving in or out of the feeds and search; a poll made public again
+    // rejoins the trending feed with the next hour's votes
+    if (isListed(access)) {
+      sets.push("GSI1PK = :feed");
+    } else {
+      removes.push("GSI1PK", "GSI4PK");
+    }
+  }
+
+  const transactItems = [
+    {
+      Update: {
+        TableName: POLLS_TABLE,
+        Key: pollKey(pollId),
+        UpdateExpression:
+          `SET ${sets.join(", ")}` +
+          (removes.length ? ` REMOVE ${removes.join(", ")}` : "") +
+          " ADD talliesVersion :one",
+        // Concurrent edits must not overwrite each other's option list
+        ConditionExpression:
+          "attribute_exists(PK) AND " +
+          "(attribute_not_exists(#status) OR #status <> :closed) AND " +
+          (pollItem.optionIds
+            ? "optionIds = :previousOptionIds"
+            : "attribute_not_exists(optionIds)"),
+        ExpressionAttributeNames: {
+          "#status": "status",
+          ...(access && { "#access": "access" }),
+        },
+        ExpressionAttributeValues: {
+          ":now": updatedAt,
+          ":optionIds": optionIds,
+          ":searchText": buildSearchText(
+            question ?? pollItem.question,
+            optionTexts
+          ),
+          ...(pollItem.optionIds && {
+            ":previousOptionIds": pollItem.optionIds,
+          }),
+          ":closed": POLL_STATUS.CLOSED,
+          ":one": 1,
+          ...(question !== undefined && { ":question": question }),
+          ...(maxChoices !== undefined && { ":maxChoices": maxChoices }),
+          ...(access && {
+            ":access": access.access,
+            ...(access.allowedEmails?.length && {
+              ":allowedEmails": access.allowedEmails,
+            }),
+            ...(access.allowedGroups?.length && {
+              ":allowedGroups": access.allowedGroups,
+            }),
+            ...(isListed(access) && { ":feed": "POLL" }),
+          }),
+        },
+      },
+    },
+    ...updateOptions.map((opt) => ({
+      Update: {
+        TableName: POLLS_TABLE,
+        Key: optionKey(pollId, opt.id),
+        UpdateExpression: "SET #text = :text",
+        ConditionExpression: NO_VOTES_CONDITION,
+        ExpressionAttributeNames: { "#text": "text" },
+        ExpressionAttributeValues: { ":text": opt.text, ":zero": 0 },
+      },
+    })),
+    ...[...new Set(removeOptions)].map((id) => ({
+      Delete: {
+        TableName: POLLS_TABLE,
+        Key: optionKey(pollId, id),
+        ConditionExpression: NO_VOTES_CONDITION,
+        ExpressionAttributeValues: { ":zero": 0 },
+      },
+    })),
+    ...addOptions.map((opt) => ({
+      Put: {
+        TableName: POLLS_TABLE,
+        Item: {
+          ...optionKey(pollId, opt.id),
+          optionId: opt.id,
+          text: opt.text,
+          votesCount: 0,
+        },
+        ConditionExpression: "attribute_not_exists(PK)",
+      },
+    })),
+  ];
+
+  await ddbDocClient.send(
+    new TransactWriteCommand({ TransactItems: transactItems })
+  );
+};
+
+/**
+ * Delete a poll with all its options and votes
+ * @param {string} pollId
+ * @returns {Promise<number>} the number of items deleted
+ */
+export const deletePoll = async (pollId) => {
+  const poll = await getPollItems(pollId);
+  if (!poll) {
+    return 0;
+  }
+
+  const deleteRequests = [
+    poll.pollItem,
+    ...poll.optionItems,
+    ...poll.voteItems,
+  ].map((item) => ({
+    DeleteRequest: { Key: { PK: item.PK, SK: item.SK } },
+  }));
+  await batchWriteAll(ddbDocClient, POLLS_TABLE, deleteRequests);
+
+  return deleteRequests.length;
+};
+
+const MAX_CLOSE_ATTEMPTS = 5;
+
+/**
+ * Close a poll and store its final tallies in one transaction, taking it
+ * out of the deadline and trending indexes. The tallies are read
+ * consistently first and each option's count is a condition of the
+ * transaction, as are the option list and talliesVersion, so a vote or edit
+ * committed in between cancels it and we retry from a fresh read. Rejects
+ * with the TransactionCanceledException when the poll kept changing,
+ * leaving it open.
+ * @param {string} pollId
+ * @param {string} closedAt
+ * @returns {Promise<PollItem | null>} the closed POLL item, with its
+ *   `results`, or null if it was already closed or no longer exists
+ */
+export const closePollWithResults = async (pollId, closedAt) => {
+  for (let attempt = 1; ; attempt++) {
+    const poll = await getPollWithOptions(pollId);
+    if (!poll || poll.pollItem.status === POLL_STATUS.CLOSED) {
+      return null;
+    }
+    const { pollItem, optionItems } = poll;
+    const results = toOptionDtos(optionItems);
+    const talliesVersion = (pollItem.talliesVersion ?? 0) + 1;
+
+    const transactItems = [
+      {
+        Update: {
+          TableName: POLLS_TABLE,
+          Key: pollKey(pollId),
+          UpdateExpression:
+            "SET #status = :closed, closedAt = :now, results = :results, " +
+            "talliesVersion = :version REMOVE GSI3PK, GSI4PK",
+          ConditionExpression:
+            "attribute_exists(PK) AND " +
+            "(attribute_not_exists(#status) OR #status <> :closed) AND " +
+            (pollItem.optionIds
+              ? "optionIds = :optionIds AND "
+              : "attribute_not_exists(optionIds) AND ") +
+            (pollItem.talliesVersion !== undefined
+              ? "talliesVersion = :previousVersion"
+              : "attribute_not_exists(talliesVersion)"),
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":closed": POLL_STATUS.CLOSED,
+            ":now": closedAt,
+            ":results": results,
+            ":version": talliesVersion,
+            ...(pollItem.optionIds && { ":optionIds": pollItem.optionIds }),
+            ...(pollItem.talliesVersion !== undefined && {
+              ":previousVersion": pollItem.talliesVersion,
+            }),
+          },
+        },
+      },
+      ...optionItems.map((optionItem) => ({
+        ConditionCheck: {
+          TableName: POLLS_TABLE,
+          Key: { PK: optionItem.PK, SK: optionItem.SK },
+          ConditionExpression: "votesCount = :votesCount",
+          ExpressionAttributeValues: { ":votesCount": optionItem.votesCount },
+        },
+      })),
+    ];
+
+    try {
+      await ddbDocClient.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+      return {
+        ...pollItem,
+        status: POLL_STATUS.CLOSED,
+        closedAt,
+        results,
+        talliesVersion,
+      };
+    } catch (err) {
+      if (
+        !isTransactionCancelled(err, [
+          "ConditionalCheckFailed",
+          "TransactionConflict",
+        ]) ||
+        attempt >= MAX_CLOSE_ATTEMPTS
+      ) {
+        throw err;
+      }
+    }
+  }
+};
+
+const MAX_VOTE_ATTEMPTS = 3;
+
+/**
+ * Raised by recordVote and removeVote when their transaction is cancelled.
+ * `reason` is "pollClosed" when the poll was closed or deleted meanwhile,
+ * "unknownOption" (with `optionId`) when an option no longer exists, and
+ * "conflict" when the vote kept changing under us.
+ */
+export class VoteWriteError extends Error {
+  /**
+   * @param {"pollClosed" | "unknownOption" | "conflict"} reason
+   * @param {number} [optionId]
+   */
+  constructor(reason, optionId) {
+    super(`Vote write cancelled: ${reason}`);
+    this.reason = reason;
+    this.optionId = optionId;
+  }
+}
+
+// True when a TransactWriteCommand was cancelled and one of its items failed
+// with one of the given cancellation codes
+const isTransactionCancelled = (err, codes) =>
+  err.name === "TransactionCanceledException" &&
+  (err.CancellationReasons || []).some((reason) =>
+    codes.includes(reason.Code)
+  );
+
+// Votes written before firstVotedAt was kept only know their last change
+const firstVotedAt = (vote) => vote.firstVotedAt ?? vote.createdAt;
+
+// How the counts of each option change when a user's vote goes from
+// `previousVote` to `choice` (either may be null): [{ optionId, votes,
+// ranked }]. On ranked polls every option a ballot ranks also counts towards
+// the option's rankedCount, so that edits can check in their transaction
+// that an option is on no ballot (see updatePoll).
+const optionCountChanges = (type, previousVote, choice) => {
+  const rankedIds = (vote) =>
+    type === POLL_TYPES.RANKED && vote ? vote.ranking.map(Number) : [];
+  const before = {
+    votes: countedOptionIds(type, previousVote).map(Number),
+    ranked: rankedIds(previousVote),
+  };
+  const after = {
+    votes: countedOptionIds(type, choice).map(Number),
+    ranked: rankedIds(choice),
+  };
+  const delta = (counts, optionId) =>
+    Number(after[counts].includes(optionId)) -
+    Number(before[counts].includes(optionId));
+
+  const optionIds = new Set([
+    ...before.votes,
+    ...before.ranked,
+    ...after.votes,
+    ...after.ranked,
+  ]);
+  return [...optionIds]
+    .map((optionId) => ({
+      optionId,
+      votes: delta("votes", optionId),
+      ranked: delta("ranked", optionId),
+    }))
+    .filter((change) => change.votes !== 0 || change.ranked !== 0);
+};
+
+// Transaction item applying one of the optionCountChanges
+const optionCountUpdate = (pollId, { optionId, votes, ranked }) => ({
+  Update: {
+    TableName: POLLS_TABLE,
+    Key: optionKey(pollId, optionId),
+    UpdateExpression: [
+      votes !== 0 && "SET votesCount = votesCount + :votes",
+      ranked !== 0 && "ADD rankedCount :ranked",
+    ]
+      .filter(Boolean)
+      .join(" "),
+    ConditionExpression: "attribute_exists(PK)",
+    ExpressionAttributeValues: {
+      ...(votes !== 0 && { ":votes": votes }),
+      ...(ranked !== 0 && { ":ranked": ranked }),
+    },
+  },
+});
+
+// Votes only commit while the poll exists, is open and before its deadline
+const OPEN_POLL_CONDITION =
+  "attribute_exists(PK) AND " +
+  "(attribute_not_exists(#status) OR #status = :open) AND " +
+  "(attribute_not_exists(closesAt) OR closesAt > :now)";
+
+/**
+ * Record a user's vote in a single transaction: move the counts from the
+ * options the previous vote (if any) counted towards to the new ones and
+ * write the VOTE# item. The previous vote read before the transaction is
+ * part of its conditions, so a concurrent vote by the same user cancels it
+ * and we retry from a fresh read. Rejects with a VoteWriteError when a
+ * condition other than our own read fails.
+ * @param {PollItem} pollItem
+ * @param {Choice} choice
+ * @param {User} user
+ * @param {{ invite?: string }} [options]
+ * @returns {Promise<{ createdAt: string, firstVote: boolean } | null>} null
+ *   when the vote is unchanged
+ */
+export const recordVote = async (pollItem, choice, user, { invite } = {}) => {
+  const { pollId } = pollItem;
+  const type = pollItem.type || POLL_TYPES.SINGLE;
+
+  for (let attempt = 1; ; attempt++) {
+    const previousVote = await getVote(pollId, user.email, {
+      consistent: true,
+    });
+    if (
+      previousVote &&
+      choiceKey(type, previousVote) === choiceKey(type, choice)
+    ) {
+      return null;
+    }
+
+    const createdAt = new Date().toISOString();
+    // Error to throw when the matching item's condition fails; null means
+    // our read went stale and the whole attempt is retried
+    const conditionErrors = [];
+    const transactItems = [];
+
+    // The poll must not have been deleted or closed since it was validated.
+    // A first vote by this user also bumps the poll's totalVotes.
+    transactItems.push({
+      Update: {
+        TableName: POLLS_TABLE,
+        Key: pollKey(pollId),
+        UpdateExpression: previousVote
+          ? "ADD talliesVersion :one"
+          : "ADD totalVotes :one, talliesVersion :one",
+        ConditionExpression: OPEN_POLL_CONDITION,
+        ExpressionAttributeNames: { "#status": "status" },
+        ExpressionAttributeValues: {
+          ":open": POLL_STATUS.OPEN,
+          ":now": createdAt,
+          ":one": 1,
+        },
+      },
+    });
+    conditionErrors.push(new VoteWriteError("pollClosed"));
+
+    // Options the new vote adds to must exist; an option the previous one
+    // counted towards going missing means an edit removed it under us
+    for (const change of optionCountChanges(type, previousVote, choice)) {
+      conditionErrors.push(
+        change.votes > 0 || change.ranked > 0
+          ? new VoteWriteError("unknownOption", change.optionId)
+          : null
+      );
+      transactItems.push(optionCountUpdate(pollId, change));
+    }
+
+    conditionErrors.push(null);
+    transactItems.push({
+      Put: {
+        TableName: POLLS_TABLE,
+        Item: newVoteItem(pollId, choice, user, {
+          createdAt,
+          firstVotedAt: previousVote ? firstVotedAt(previousVote) : createdAt,
+          invite,
+        }),
+        // The vote must still be the one we read above
+        ...(previousVote
+          ? {
+              ConditionExpression: "createdAt = :previousCreatedAt",
+              ExpressionAttributeValues: {
+                ":previousCreatedAt": previousVote.createdAt,
+              },
+            }
+          : { ConditionExpression: "attribute_not_exists(PK)" }),
+      },
+    });
+
+    try {
+      await ddbDocClient.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+      return { createdAt, firstVote: !previousVote };
+    } catch (err) {
+      if (
+        !isTransactionCancelled(err, [
+          "ConditionalCheckFailed",
+          "TransactionConflict",
+        ])
+      ) {
+        throw err;
+      }
+
+      const reasons = err.CancellationReasons || [];
+      reasons.forEach((reason, i) => {
+        if (reason.Code === "ConditionalCheckFailed" && conditionErrors[i]) {
+          throw conditionErrors[i];
+        }
+      });
+      if (attempt >= MAX_VOTE_ATTEMPTS) {
+        throw new VoteWriteError("conflict");
+      }
+    }
+  }
+};
+
+/**
+ * Withdraw a user's vote in a single transaction: take it off the counts of
+ * the options it counted towards and the poll's totalVotes, and delete the
+ * VOTE# item. As in recordVote, the vote read first is part of the
+ * conditions so a concurrent change retries from a fresh read.
+ * @param {PollItem} pollItem
+ * @param {User} user
+ * @returns {Promise<{ retractedAt: string, firstVotedAt: string } | null>}
+ *   null when the user has not voted
+ */
+export const removeVote = async (pollItem, user) => {
+  const { pollId } = pollItem;
+  const type = pollItem.type || POLL_TYPES.SINGLE;
+
+  for (let attempt = 1; ; attempt++) {
+    const previousVote = await getVote(pollId, user.email, {
+      consistent: true,
+    });
+    if (!previousVote) {
+      return null;
+    }
+
+    const retractedAt = new Date().toISOString();
+    const transactItems = [
+      {
+        Update: {
+          TableName: POLLS_TABLE,
+          Key: pollKey(pollId),
+          UpdateExpression: "ADD totalVotes :minusOne, talliesVersion :one",
+          ConditionExpression: OPEN_POLL_CONDITION,
+          ExpressionAttributeNames: { "#status": "status" },
+          ExpressionAttributeValues: {
+            ":minusOne": -1,
+            ":one": 1,
+            ":open": POLL_STATUS.OPEN,
+            ":now": retractedAt,
+          },
+        },
+      },
+      ...optionCountChanges(type, previousVote, null).map((change) =>
+        optionCountUpdate(pollId, change)
+      ),
+      {
+        Delete: {
+          TableName: POLLS_TABLE,
+          Key: voteKey(pollId, user.email),
+          ConditionExpression: "createdAt = :previousCreatedAt",
+          ExpressionAttributeValues: {
+            ":previousCreatedAt": previousVote.createdAt,
+          },
+        },
+      },
+    ];
+
+    try {
+      await ddbDocClient.send(
+        new TransactWriteCommand({ TransactItems: transactItems })
+      );
+      return { retractedAt, firstVotedAt: firstVotedAt(previousVote) };
+    } catch (err) {
+      if (
+        !isTransactionCancelled(err, [
+          "ConditionalCheckFailed",
+          "TransactionConflict",
+        ])
+      ) {
+        throw err;
+      }
+      // Only the poll check is the caller's problem, anything else means
+      // the vote changed under us
+      if (err.CancellationReasons?.[0]?.Code === "ConditionalCheckFailed") {
+        throw new VoteWriteError("pollClosed");
+      }
+      if (attempt >= MAX_VOTE_ATTEMPTS) {
+        throw new VoteWriteError("conflict");
+      }
+    }
+  }
+};
+
+// Conditional updates of a poll's trending counters, tried in order until
+// one applies. This is best effort: a failure only skews the trending feed,
+// so it is logged rather than failing the vote. Resolves to false only when
+// none of the conditions held.
+const updateTrending = async (pollId, updates) => {
+  for (const update of updates) {
+    try {
+      await ddbDocClient.send(
+        new UpdateCommand({
+          TableName: POLLS_TABLE,
+          Key: pollKey(pollId),
+          ...update,
+        })
+      );
+      return true;
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException") {
+        log.error("Error updating trending score", { pollId, error: err });
+        return true;
+      }
+    }
+  }
+  return false;
+};
+
+/**
+ * Count a user's first vote on a poll towards its trending score (see
+ * trending.mjs). The first vote of a new hour moves the hourly counter to
+ * prevVotes, or resets both when the poll got no votes last hour.
+ * @param {string} pollId
+ * @returns {Promise<void>}
+ */
+export const recordTrendingVote = async (pollId) => {
+  const hour = trendingHour();
+  const restart = {
+    ":hour": hour,
+    ":one": 1,
+    ":score": hour * TREND_SCORE_BASE + 1,
+    ":trending": TRENDING_PARTITION,
+  };
+
+  for (let attempt = 1; attempt <= 2; attempt++) {
+    const applied = await updateTrending(pollId, [
+      // Same hour: one more vote
+      {
+        UpdateExpression: "ADD trendVotes :one, trendScore :one",
+        ConditionExpression: "trendHour = :hour",
+        ExpressionAttributeValues: { ":one": 1, ":hour": hour },
+      },
+      // First vote of the hour after the last counted one
+      {
+        UpdateExpression:
+          "SET prevVotes = trendVotes, trendHour = :hour, " +
+          "trendVotes = :one, trendScore = :score, GSI4PK = :trending",
+        ConditionExpression: "trendHour = :lastHour",
+        ExpressionAttributeValues: { ...restart, ":lastHour": hour - 1 },
+      },
+      // First vote in over an hour
+      {
+        UpdateExpression:
+          "SET prevVotes = :zero, trendHour = :hour, " +
+          "trendVotes = :one, trendScore = :score, GSI4PK = :trending",
+        ConditionExpression:
+          "attribute_exists(PK) AND " +
+          "(attribute_not_exists(trendHour) OR trendHour < :lastHour)",
+        ExpressionAttributeValues: {
+          ...restart,
+          ":zero": 0,
+          ":lastHour": hour - 1,
+        },
+      },
+    ]);
+    // Otherwise another vote restarted the counter first: go back to
+    // incrementing
+    if (applied) return;
+  }
+};
+
+/**
+ * Take a retracted vote off the hourly counter it was counted in, if that
+ * is still the current or previous one
+ * @param {string} pollId
+ * @param {string} firstVotedAt when the retracted vote was first cast
+ * @returns {Promise<void>}
+ */
+export const removeTrendingVote = async (pollId, firstVotedAt) => {
+  const voteHour = trendingHour(new Date(firstVotedAt));
+
+  await updateTrending(pollId, [
+    {
+      UpdateExpression: "ADD trendVotes :minusOne, trendScore :minusOne",
+      ConditionExpression: "trendHour = :voteHour AND trendVotes > :zero",
+      ExpressionAttributeValues: {
+        ":minusOne": -1,
+        ":zero": 0,
+        ":voteHour": voteHour,
+      },
+    },
+    {
+      UpdateExpression: "ADD prevVotes :minusOne",
+      ConditionExpression: "trendHour = :nextHour AND prevVotes > :zero",
+      ExpressionAttributeValues: {
+        ":minusOne": -1,
+        ":zero": 0,
+        ":nextHour": voteHour + 1,
+      },
+    },
+  ]);
+};
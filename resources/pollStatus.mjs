@@ -0,0 +1,17 @@
+export const POLL_STATUS = {
+  OPEN: "open",
+  CLOSED: "closed",
+};
+
+// Status of a POLL item. A poll whose deadline has passed counts as closed
+// even before the scheduled closer has frozen its results. Polls created
+// before closing existed have no status and are open.
+export const getPollStatus = (pollItem, now = new Date().toISOString()) => {
+  if (pollItem.status === POLL_STATUS.CLOSED) {
+    return POLL_STATUS.CLOSED;
+  }
+  if (pollItem.closesAt && pollItem.closesAt <= now) {
+    return POLL_STATUS.CLOSED;
+  }
+  return POLL_STATUS.OPEN;
+};
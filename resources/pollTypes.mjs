@@ -0,0 +1,90 @@
+export const POLL_TYPES = {
+  SINGLE: "single",
+  MULTIPLE: "multiple",
+  RANKED: "ranked",
+};
+
+// Options a vote counts towards in the per-option votesCount: every selected
+// option for multiple-choice polls, only the first preference for ranked
+// polls. Legacy VOTE# items only have optionId.
+export const countedOptionIds = (type, vote) => {
+  if (!vote) {
+    return [];
+  }
+  if (type === POLL_TYPES.MULTIPLE) {
+    return vote.optionIds || [];
+  }
+  if (type === POLL_TYPES.RANKED) {
+    return vote.ranking?.length ? [vote.ranking[0]] : [];
+  }
+  return vote.optionId !== undefined ? [vote.optionId] : [];
+};
+
+// Comparable form of a vote: order doesn't matter for multiple choice
+export const choiceKey = (type, vote) => {
+  if (type === POLL_TYPES.MULTIPLE) {
+    const optionIds = (vote.optionIds || []).map(Number);
+    return JSON.stringify(optionIds.sort((a, b) => a - b));
+  }
+  if (type === POLL_TYPES.RANKED) {
+    return JSON.stringify((vote.ranking || []).map(Number));
+  }
+  return JSON.stringify(Number(vote.optionId));
+};
+
+// The selection stored on a VOTE# item, as returned to its voter
+export const userChoiceFields = (vote) => ({
+  userOption: vote?.optionId,
+  userOptions: vote?.optionIds ?? vote?.ranking,
+});
+
+// Instant-runoff tally of ranked ballots. Each round counts every ballot for
+// its highest-ranked option still in the race; an option backed by a
+// majority of the non-exhausted ballots wins, otherwise the option(s) with
+// the fewest votes are eliminated. Ballot entries for options that no longer
+// exist are ignored. When every remaining option is tied the poll has no
+// single winner and all of them are returned in `tied`.
+export const instantRunoff = (optionIds, ballots) => {
+  const active = new Set(optionIds);
+  const rounds = [];
+
+  if (ballots.length === 0 || active.size === 0) {
+    return { rounds, winner: null, tied: [] };
+  }
+
+  while (active.size > 0) {
+    const counts = Object.fromEntries([...active].map((id) => [id, 0]));
+    let exhausted = 0;
+
+    for (const ranking of ballots) {
+      const choice = ranking.find((id) => active.has(id));
+      if (choice === undefined) {
+        exhausted++;
+      } else {
+        counts[choice]++;
+      }
+    }
+
+    const continuing = ballots.length - exhausted;
+    const leader = [...active].reduce((best, id) =>
+      counts[id] > counts[best] ? id : best
+    );
+    const round = { round: rounds.length + 1, counts, exhausted };
+    rounds.push(round);
+
+    if (continuing > 0 && counts[leader] * 2 > continuing) {
+      return { rounds, winner: leader, tied: [] };
+    }
+
+    const fewest = Math.min(...[...active].map((id) => counts[id]));
+    const eliminated = [...active].filter((id) => counts[id] === fewest);
+    if (eliminated.length === active.size) {
+      return { rounds, winner: null, tied: eliminated };
+    }
+
+    round.eliminated = eliminated;
+    eliminated.forEach((id) => active.delete(id));
+  }
+
+  return { rounds, winner: null, tied: [] };
+};
@@ -1,16 +1,68 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
-import {
-  DynamoDBDocumentClient,
-  QueryCommand,
-  BatchWriteCommand,
-  GetCommand,
-} from "@aws-sdk/lib-dynamodb";
 import { v4 as uuidv4 } from "uuid";
-
-const POLLS_TABLE = process.env.POLLS_TABLE;
-
-const client = new DynamoDBClient({ region: process.env.AWS_REGION });
-const ddbDocClient = DynamoDBDocumentClient.from(client);
+import {
+  POLL_FEED_SORTS,
+  voteKey,
+  toOptionDtos,
+  getPoll,
+  getPollItems,
+  getPollWithOptions,
+  getPollTallies,
+  getPollsByIds,
+  getPollsPageDetails,
+  listPolls,
+  listPollsByOwner,
+  listVotesByVoter,
+  listExpiredPolls,
+  searchPolls,
+  createPoll,
+  updatePoll,
+  deletePoll,
+  closePollWithResults,
+} from "./pollRepository.mjs";
+import { encodeCursor, decodeCursor, parseLimit } from "./cursor.mjs";
+import { createCallbackAPI, broadcastResults } from "./broadcast.mjs";
+import { countPollViewers } from "./presence.mjs";
+import { removeBroadcastState } from "./connectionRepository.mjs";
+import { castVote, retractVote } from "./voting.mjs";
+import {
+  ValidationError,
+  text,
+  oneOf,
+  integer,
+  optionId,
+  email,
+  date,
+  list,
+  object,
+  validate,
+  parseBody,
+  textKey,
+} from "./validation.mjs";
+import { AppError, ERROR_CODES, errorResponse } from "./errors.mjs";
+import { createLogger, loggerFor } from "./logger.mjs";
+import { enforceRateLimit } from "./rateLimit.mjs";
+import { POLL_STATUS, getPollStatus } from "./pollStatus.mjs";
+import {
+  POLL_TYPES,
+  instantRunoff,
+  userChoiceFields,
+} from "./pollTypes.mjs";
+import {
+  VOTER_VISIBILITY,
+  RESULTS_VISIBILITY,
+  presentVoter,
+  canSeeResults,
+  hideTallies,
+} from "./visibility.mjs";
+import {
+  POLL_ACCESS,
+  DEFAULT_INVITE_DAYS,
+  MAX_INVITE_DAYS,
+  createInviteToken,
+  canAccessPoll,
+  requirePollAccess,
+  viewerFromClaims,
+} from "./access.mjs";
 
 const includeHeader = (response) => {
   return {
@@ -21,83 +73,178 @@ const includeHeader = (response) => {
     },
   };
 };
+
+// Type, visibility and access settings of a poll; polls created before
+// these settings existed are single choice, public and always show results
+const pollTypeFields = (pollItem) => ({
+  type: pollItem.type || POLL_TYPES.SINGLE,
+  visibility: pollItem.visibility || VOTER_VISIBILITY.PUBLIC,
+  resultsVisibility: pollItem.resultsVisibility || RESULTS_VISIBILITY.ALWAYS,
+  access: pollItem.access || POLL_ACCESS.PUBLIC,
+  ...(pollItem.type === POLL_TYPES.MULTIPLE && {
+    maxChoices: pollItem.maxChoices,
+  }),
+});
+
+// Who a private poll is shared with, only shown to its owner
+const allowListFields = (pollItem, viewerEmail) =>
+  pollItem.access === POLL_ACCESS.PRIVATE &&
+  pollItem.owner?.email === viewerEmail
+    ? {
+        allowedEmails: pollItem.allowedEmails || [],
+        allowedGroups: pollItem.allowedGroups || [],
+      }
+    : {};
+
+// Tallies as returned by the get handlers: per-option votesCount, the
+// instant-runoff rounds for ranked polls and the individual votes. Viewers
+// who may not see results only get the option texts.
+const resultFields = (pollItem, options, votes, showResults) => {
+  if (!showResults) {
+    return { options: hideTallies(options), resultsHidden: true, votes: [] };
+  }
+  return {
+    options,
+    resultsHidden: false,
+    ...(pollItem.type === POLL_TYPES.RANKED && {
+      runoff: instantRunoff(
+        options.map((opt) => opt.id),
+        votes.map((vote) => (vote.ranking || []).map(Number))
+      ),
+    }),
+    votes,
+  };
+};
+
+// Options as returned by the list handlers, tallies included when the viewer
+// may see them
+const listedOptions = (pollItem, options, viewer) => {
+  const showResults = canSeeResults(pollItem, viewer);
+  return {
+    options: showResults ? options : hideTallies(options),
+    resultsHidden: !showResults,
+  };
+};
+
+// Closing state of a poll as returned by the get handlers
+const pollClosingFields = (pollItem, showResults) => ({
+  status: getPollStatus(pollItem),
+  closesAt: pollItem.closesAt || null,
+  closedAt: pollItem.closedAt || null,
+  results: (showResults && pollItem.results) || null,
+});
+
+const QUESTION_MAX_LENGTH = 300;
+const OPTION_MAX_LENGTH = 120;
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 20;
+const MAX_ALLOWED_EMAILS = 100;
+const MAX_ALLOWED_GROUPS = 20;
+
+const optionText = () => text({ maxLength: OPTION_MAX_LENGTH });
+
+const sameValue = (value) => value;
+
+// Access settings shared by the create and edit schemas
+const ACCESS_SCHEMA = {
+  access: oneOf(Object.values(POLL_ACCESS), { optional: true }),
+  allowedEmails: list(email(), {
+    maxItems: MAX_ALLOWED_EMAILS,
+    uniqueBy: sameValue,
+    optional: true,
+  }),
+  allowedGroups: list(text({ maxLength: 128 }), {
+    maxItems: MAX_ALLOWED_GROUPS,
+    uniqueBy: sameValue,
+    optional: true,
+  }),
+};
+
+// Access settings to store, given the poll's access level; allow-lists only
+// apply to private polls
+const accessSettings = (access, { allowedEmails = [], allowedGroups = [] }) => {
+  if (access !== POLL_ACCESS.PRIVATE) {
+    const errors = Object.entries({ allowedEmails, allowedGroups })
+      .filter(([, values]) => values.length > 0)
+      .map(([field]) => ({ field, message: "only applies to private polls" }));
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+  }
+  return { access, allowedEmails, allowedGroups };
+};
+
+// closesAt is normalised to an ISO string so it sorts correctly in
+// PollsByClosesAt-index
+const CREATE_POLL_SCHEMA = {
+  question: text({ maxLength: QUESTION_MAX_LENGTH }),
+  options: list(optionText(), {
+    minItems: MIN_OPTIONS,
+    maxItems: MAX_OPTIONS,
+    uniqueBy: textKey,
+  }),
+  type: oneOf(Object.values(POLL_TYPES), { optional: true }),
+  visibility: oneOf(Object.values(VOTER_VISIBILITY), { optional: true }),
+  resultsVisibility: oneOf(Object.values(RESULTS_VISIBILITY), {
+    optional: true,
+  }),
+  maxChoices: integer({ min: 1, optional: true }),
+  closesAt: date({ future: true, optional: true }),
+  ...ACCESS_SCHEMA,
+};
+
 export const createPollHandler = async (event) => {
   try {
     const claims = event.requestContext.authorizer.claims;
     const userEmail = claims.email;
     const userName = claims.name || userEmail;
-
-    const body = JSON.parse(event.body);
-    const { question, options } = body;
-
-    if (
-      !question ||
-      !options ||
-      !Array.isArray(options) ||
-      options.length === 0
-    ) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ message: "Invalid input" }),
-      };
+    await enforceRateLimit("createPoll", userEmail);
+
+    const body = validate(CREATE_POLL_SCHEMA, parseBody(event.body));
+    const { question, options, closesAt } = body;
+    const type = body.type ?? POLL_TYPES.SINGLE;
+    const visibility = body.visibility ?? VOTER_VISIBILITY.PUBLIC;
+    const resultsVisibility =
+      body.resultsVisibility ?? RESULTS_VISIBILITY.ALWAYS;
+    const access = accessSettings(body.access ?? POLL_ACCESS.PUBLIC, body);
+
+    // Multiple-choice polls default to allowing every option
+    const maxChoices =
+      type === POLL_TYPES.MULTIPLE
+        ? body.maxChoices ?? options.length
+        : undefined;
+    if (maxChoices > options.length) {
+      throw new ValidationError([
+        {
+          field: "maxChoices",
+          message: "must not exceed the number of options",
+        },
+      ]);
     }
 
     const pollId = uuidv4();
     const createdAt = new Date().toISOString();
 
-    // Build batch items: poll + options
-    const items = [
-      {
-        PutRequest: {
-          Item: {
-            PK: `POLL#${pollId}`,
-            SK: "POLL",
-            pollId,
-            question,
-            owner: {
-              email: userEmail,
-              name: userName,
-            },
-            createdAt,
-            GSI1PK: "POLL",
-            GSI2PK: `OWNER#${userEmail}`,
-          },
-        },
-      },
-      ...options.map((opt, i) => ({
-        PutRequest: {
-          Item: {
-            PK: `POLL#${pollId}`,
-            SK: `OPTION#${i + 1}`,
-            optionId: i + 1,
-            text: opt,
-            votesCount: 0,
-          },
-        },
-      })),
-    ];
-
-    await ddbDocClient.send(
-      new BatchWriteCommand({
-        RequestItems: {
-          [POLLS_TABLE]: items,
-        },
-      })
-    );
+    await createPoll({
+      pollId,
+      question,
+      owner: { email: userEmail, name: userName },
+      createdAt,
+      type,
+      visibility,
+      resultsVisibility,
+      maxChoices,
+      closesAt,
+      ...access,
+      options,
+    });
 
     return {
       statusCode: 201,
       body: JSON.stringify({ pollId, message: "Poll created successfully" }),
     };
   } catch (error) {
-    console.error("Error creating poll:", error);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        message: "Failed to create poll",
-        error: error.message,
-      }),
-    };
+    return errorResponse(error, loggerFor(event), "Error creating poll");
   }
 };
 
@@ -105,144 +252,195 @@ export const getPollHandler = async (event) => {
   try {
     const pollId = event.pathParameters.pollId;
     if (!pollId) {
-      return {
-        statusCode: 400,
-        body: JSON.stringify({ message: "Missing pollId" }),
-      };
+      throw new ValidationError([{ field: "pollId", message: "is required" }]);
     }
 
-    const result = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        KeyConditionExpression: "PK = :pk",
-        ExpressionAttributeValues: { ":pk": `POLL#${pollId}` },
-      })
-    );
-
-    if (!result.Items || result.Items.length === 0) {
-      return {
-        statusCode: 404,
-        body: JSON.stringify({ message: "Poll not found" }),
-      };
+    const poll = await getPollItems(pollId);
+    if (!poll) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
     }
 
-    // Extract the poll item
-    const pollItem = result.Items.find((item) => item.SK === "POLL");
+    const { pollItem } = poll;
+    // Anonymous readers only get into private polls with an invite
+    requirePollAccess(pollItem, {}, event.queryStringParameters?.invite);
 
-    // Extract options
-    const options = result.Items.filter((item) =>
-      item.SK.startsWith("OPTION#")
-    ).map((opt) => ({
-      id: opt.optionId,
-      text: opt.text,
-      votesCount: opt.votesCount,
-    }));
-    const votesResult = result.Items.filter((i) =>
-      i.SK.startsWith("VOTE#")
-    ).map((vote) => ({
-      user: vote.user,
+    const options = toOptionDtos(poll.optionItems);
+    const votesResult = poll.voteItems.map((vote) => ({
+      // Public route: never reveals emails
+      user: presentVoter(pollItem, vote.user),
       optionId: vote.optionId,
+      optionIds: vote.optionIds,
+      ranking: vote.ranking,
       createdAt: vote.createdAt,
     }));
 
-    const poll = {
-      pollId: pollItem.pollId,
-      question: pollItem.question,
-      createdAt: pollItem.createdAt,
-      owner: pollItem.owner,
-      options,
-      votes: votesResult,
-    };
+    const showResults = canSeeResults(pollItem, {});
 
     return {
       statusCode: 200,
-      body: JSON.stringify(poll),
-    };
-  } catch (error) {
-    console.error("Error fetching poll:", error);
-    return {
-      statusCode: 500,
       body: JSON.stringify({
-        message: "Failed to fetch poll",
-        error: error.message,
+        pollId: pollItem.pollId,
+        question: pollItem.question,
+        createdAt: pollItem.createdAt,
+        owner: { name: pollItem.owner?.name }, // no emails on public routes
+        ...pollTypeFields(pollItem),
+        ...pollClosingFields(pollItem, showResults),
+        ...resultFields(pollItem, options, votesResult, showResults),
       }),
     };
+  } catch (error) {
+    return errorResponse(error, loggerFor(event), "Error fetching poll");
   }
 };
 
+const FEED_SCHEMA = {
+  sort: oneOf(POLL_FEED_SORTS, { optional: true }),
+};
+
 export const listPollsHandler = async (event) => {
   try {
     // 👇 Extract pagination & sorting params from querystring
     const params = event.queryStringParameters || {};
-    const limit = parseInt(params.limit || "10", 10);
-    const sortBy = "createdAt";
-    const lastKey = params.lastKey ? JSON.parse(params.lastKey) : undefined;
-
-    const indexName = "PollsByCreatedAt-index";
-
-    // 1️⃣ Query polls from GSI
-    const pollsResult = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        IndexName: indexName,
-        KeyConditionExpression: "GSI1PK = :pk",
-        ExpressionAttributeValues: {
-          ":pk": "POLL",
-        },
-        Limit: limit,
-        ExclusiveStartKey: lastKey,
-        ScanIndexForward: false,
-      })
-    );
-
-    const polls = [];
+    const limit = parseLimit(params.limit);
+    const { sort = "newest" } = validate(FEED_SCHEMA, params);
+    const lastKey = decodeCursor(params.lastKey, `polls:${sort}`);
 
-    for (const pollItem of pollsResult.Items) {
-      const pollId = pollItem.pollId;
+    // 1️⃣ Query polls from the GSI backing the feed
+    const page = await listPolls(sort, { limit, lastKey });
 
-      const optionsResult = await ddbDocClient.send(
-        new QueryCommand({
-          TableName: POLLS_TABLE,
-          KeyConditionExpression: "PK = :pk AND begins_with(SK, :skPrefix)",
-          ExpressionAttributeValues: {
-            ":pk": `POLL#${pollId}`,
-            ":skPrefix": "OPTION#",
-          },
-        })
-      );
-
-      const options =
-        optionsResult.Items.map((opt) => ({
-          id: opt.optionId,
-          text: opt.text,
-          votesCount: opt.votesCount,
-        })) || [];
+    // 2️⃣ Fetch the options of the whole page at once
+    const { optionsByPoll } = await getPollsPageDetails(page.items);
 
-      polls.push({
-        pollId,
+    const polls = page.items.map((pollItem) => {
+      const options = optionsByPoll.get(pollItem.pollId);
+      return {
+        pollId: pollItem.pollId,
         question: pollItem.question,
         createdAt: pollItem.createdAt,
-        owner: pollItem.owner,
-        options,
-      });
-    }
+        owner: { name: pollItem.owner?.name },
+        ...pollTypeFields(pollItem),
+        status: getPollStatus(pollItem),
+        closesAt: pollItem.closesAt || null,
+        ...listedOptions(pollItem, options, {}),
+      };
+    });
 
     return {
       statusCode: 200,
       body: JSON.stringify({
         items: polls,
-        lastKey: pollsResult.LastEvaluatedKey || null,
+        lastKey: encodeCursor(page.lastKey, `polls:${sort}`),
       }),
     };
   } catch (error) {
-    console.error("Error listing polls:", error);
+    return errorResponse(error, loggerFor(event), "Error listing polls");
+  }
+};
+
+const MAX_SEARCH_TERMS = 5;
+
+const SEARCH_SCHEMA = {
+  q: text({ maxLength: QUESTION_MAX_LENGTH, optional: true }),
+  status: oneOf(Object.values(POLL_STATUS), { optional: true }),
+  owner: text({ optional: true }),
+  type: oneOf(Object.values(POLL_TYPES), { optional: true }),
+  from: date({ optional: true }),
+  to: date({ optional: true }),
+};
+
+// Search polls by question and option text, newest first. Every word of `q`
+// must appear in the poll (case-insensitive substring match, see
+// searchPolls for polls older than search); `status` (open/closed), `owner`
+// (email), `type` and a `from`/`to` creation date range narrow the results.
+// Serves both /polls/search and the authenticated /pollsAuth/search: owner
+// emails are only shown to signed-in users, so only they may search by one.
+// Polls are read from PollsByCreatedAt-index and filtered by DynamoDB, so a
+// page may hold fewer than `limit` polls while `lastKey` still points to
+// more.
+export const searchPollsHandler = async (event) => {
+  try {
+    const userEmail = event.requestContext?.authorizer?.claims?.email;
+    const params = event.queryStringParameters || {};
+    const limit = parseLimit(params.limit);
+
+    // Blank parameters are treated as absent
+    const { q = "", status, owner, type, from, to } = validate(
+      SEARCH_SCHEMA,
+      Object.fromEntries(
+        Object.entries(params).filter(([, value]) => value.trim() !== "")
+      )
+    );
+    if (owner !== undefined && userEmail === undefined) {
+      throw new AppError(
+        ERROR_CODES.UNAUTHORIZED,
+        "Searching by owner requires signing in, see /pollsAuth/search"
+      );
+    }
+    const terms = q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (terms.length > MAX_SEARCH_TERMS) {
+      throw new ValidationError([
+        {
+          field: "q",
+          message: `must contain at most ${MAX_SEARCH_TERMS} words`,
+        },
+      ]);
+    }
+    // Both are ISO strings, which sort chronologically
+    if (from !== undefined && to !== undefined && from > to) {
+      throw new ValidationError([
+        { field: "from", message: "must not be after to" },
+      ]);
+    }
+    const range = {
+      ...(from !== undefined && { from }),
+      ...(to !== undefined && { to }),
+    };
+
+    // Cursors only resume the search they came from
+    const scope = `search:${JSON.stringify({
+      terms,
+      status,
+      owner,
+      type,
+      ...range,
+    })}`;
+    const lastKey = decodeCursor(params.lastKey, scope);
+
+    // 1️⃣ Query the matching polls
+    const page = await searchPolls(
+      { terms, status, owner, type, ...range },
+      { limit, lastKey }
+    );
+
+    // 2️⃣ Fetch the options of the whole page at once
+    const { optionsByPoll } = await getPollsPageDetails(page.items);
+
+    const polls = page.items.map((pollItem) => {
+      const options = optionsByPoll.get(pollItem.pollId);
+      return {
+        pollId: pollItem.pollId,
+        question: pollItem.question,
+        createdAt: pollItem.createdAt,
+        owner:
+          userEmail === undefined
+            ? { name: pollItem.owner?.name }
+            : pollItem.owner,
+        ...pollTypeFields(pollItem),
+        status: getPollStatus(pollItem),
+        closesAt: pollItem.closesAt || null,
+        ...listedOptions(pollItem, options, {}),
+      };
+    });
+
     return {
-      statusCode: 500,
+      statusCode: 200,
       body: JSON.stringify({
-        message: "Failed to fetch polls",
-        error: error.message,
+        items: polls,
+        lastKey: encodeCursor(page.lastKey, scope),
       }),
     };
+  } catch (error) {
+    return errorResponse(error, loggerFor(event), "Error searching polls");
   }
 };
 
@@ -251,70 +449,50 @@ export const authListPolls = async (event) => {
     const userEmail = event.requestContext.authorizer?.claims?.email;
 
     const params = event.queryStringParameters || {};
-    const limit = parseInt(params.limit || "10", 10);
-    const lastKey = params.lastKey ? JSON.parse(params.lastKey) : undefined;
-
-    const indexName = "PollsByCreatedAt-index";
-    const pollsResult = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        IndexName: indexName,
-        KeyConditionExpression: "GSI1PK = :pk",
-        ExpressionAttributeValues: { ":pk": "POLL" },
-        Limit: limit,
-        ExclusiveStartKey: lastKey,
-        ScanIndexForward: false,
-      })
-    );
+    const limit = parseLimit(params.limit);
+    const { sort = "newest" } = validate(FEED_SCHEMA, params);
+    const lastKey = decodeCursor(params.lastKey, `polls:${sort}`);
 
-    const polls = [];
-
-    for (const pollItem of pollsResult.Items) {
-      const pollId = pollItem.pollId;
-      const optionsResult = await ddbDocClient.send(
-        new QueryCommand({
-          TableName: POLLS_TABLE,
-          KeyConditionExpression: "PK = :pk AND begins_with(SK, :skPrefix)",
-          ExpressionAttributeValues: {
-            ":pk": `POLL#${pollId}`,
-            ":skPrefix": "OPTION#",
-          },
-        })
-      );
+    const page = await listPolls(sort, { limit, lastKey });
 
-      const options =
-        optionsResult.Items.map((opt) => ({
-          id: opt.optionId,
-          text: opt.text,
-          votesCount: opt.votesCount,
-        })) || [];
-      const userVote = await ddbDocClient.send(
-        new GetCommand({
-          TableName: POLLS_TABLE,
-          Key: { PK: `POLL#${pollId}`, SK: `VOTE#${userEmail}` },
-        })
-      );
+    // Fetch the options of the whole page and the user's votes at once
+    const { optionsByPoll, votesByPoll } = await getPollsPageDetails(
+      page.items,
+      userEmail
+    );
 
-      polls.push({
-        pollId,
+    const polls = page.items.map((pollItem) => {
+      const options = optionsByPoll.get(pollItem.pollId);
+      const userVote = votesByPoll.get(pollItem.pollId);
+      return {
+        pollId: pollItem.pollId,
         question: pollItem.question,
         createdAt: pollItem.createdAt,
         owner: pollItem.owner,
-        options,
-        userOption: userVote?.Item?.optionId,
-      });
-    }
+        ...pollTypeFields(pollItem),
+        status: getPollStatus(pollItem),
+        closesAt: pollItem.closesAt || null,
+        ...listedOptions(pollItem, options, {
+          viewerEmail: userEmail,
+          hasVoted: Boolean(userVote),
+        }),
+        ...userChoiceFields(userVote),
+      };
+    });
 
     return {
       statusCode: 200,
       body: JSON.stringify({
         items: polls,
-        lastKey: pollsResult.LastEvaluatedKey || null,
+        lastKey: encodeCursor(page.lastKey, `polls:${sort}`),
       }),
     };
   } catch (err) {
-    console.error("Error fetching authenticated polls:", err);
-    return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
+    return errorResponse(
+      err,
+      loggerFor(event),
+      "Error fetching authenticated polls"
+    );
   }
 };
 
@@ -326,137 +504,354 @@ export const authGetPoll = async (event) => {
     const pollId = event.pathParameters.pollId;
 
     // 1️⃣ Query all items for this poll
-    const result = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        KeyConditionExpression: "PK = :pk",
-        ExpressionAttributeValues: { ":pk": `POLL#${pollId}` },
-      })
-    );
-
-    if (!result.Items || result.Items.length === 0) {
-      return {
-        statusCode: 404,
-        body: JSON.stringify({ message: "Poll not found" }),
-      };
+    const poll = await getPollItems(pollId);
+    if (!poll) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
     }
 
-    const pollItem = result.Items.find((i) => i.SK === "POLL");
-
-    const options = result.Items.filter((i) => i.SK.startsWith("OPTION#")).map(
-      (opt) => ({
-        id: opt.optionId,
-        text: opt.text,
-        votesCount: opt.votesCount,
-      })
+    // 2️⃣ Check the caller may read it
+    const { pollItem } = poll;
+    requirePollAccess(
+      pollItem,
+      viewerFromClaims(claims),
+      event.queryStringParameters?.invite
     );
-    const votesResult = result.Items.filter((i) =>
-      i.SK.startsWith("VOTE#")
-    ).map((vote) => ({
-      user: vote.user,
+
+    const options = toOptionDtos(poll.optionItems);
+    const votesResult = poll.voteItems.map((vote) => ({
+      user: presentVoter(pollItem, vote.user, userEmail),
       optionId: vote.optionId,
+      optionIds: vote.optionIds,
+      ranking: vote.ranking,
       createdAt: vote.createdAt,
     }));
-    const userVote = await ddbDocClient.send(
-      new GetCommand({
-        TableName: POLLS_TABLE,
-        Key: { PK: `POLL#${pollId}`, SK: `VOTE#${userEmail}` },
-      })
+    const userVote = poll.voteItems.find(
+      (vote) => vote.SK === voteKey(pollId, userEmail).SK
     );
 
-    const poll = {
-      pollId,
-      question: pollItem.question,
-      createdAt: pollItem.createdAt,
-      owner: pollItem.owner,
-      options,
-      votes: votesResult,
-      userOption: userVote?.Item?.optionId,
-    };
+    const showResults = canSeeResults(pollItem, {
+      viewerEmail: userEmail,
+      hasVoted: Boolean(userVote),
+    });
+    // Connections watching the poll right now
+    const viewers = await countPollViewers(pollId);
 
-    return { statusCode: 200, body: JSON.stringify(poll) };
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        pollId,
+        question: pollItem.question,
+        createdAt: pollItem.createdAt,
+        owner: pollItem.owner,
+        ...pollTypeFields(pollItem),
+        ...allowListFields(pollItem, userEmail),
+        ...pollClosingFields(pollItem, showResults),
+        ...resultFields(pollItem, options, votesResult, showResults),
+        viewers,
+        ...userChoiceFields(userVote),
+      }),
+    };
   } catch (err) {
-    console.error("Error fetching authenticated poll:", err);
-    return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
+    return errorResponse(
+      err,
+      loggerFor(event),
+      "Error fetching authenticated poll"
+    );
   }
 };
 
-export const deletePollHandler = async (event) => {
+const EDIT_POLL_SCHEMA = {
+  question: text({ maxLength: QUESTION_MAX_LENGTH, optional: true }),
+  addOptions: list(optionText(), { uniqueBy: textKey, optional: true }),
+  updateOptions: list(object({ id: optionId(), text: optionText() }), {
+    uniqueBy: (update) => update.id,
+    optional: true,
+  }),
+  removeOptions: list(optionId(), { optional: true }),
+  ...ACCESS_SCHEMA,
+};
+
+const ACCESS_FIELDS = Object.keys(ACCESS_SCHEMA);
+
+// Edit a poll. The owner may change the question, the access settings and
+// add options at any time, but may only reword or remove options that have
+// no votes yet. All changes are applied in one transaction whose conditions
+// enforce those rules against concurrent votes.
+export const editPollHandler = async (event) => {
   try {
     const userId = event.requestContext.authorizer.claims.email;
     const pollId = event.pathParameters.pollId;
+    const body = validate(EDIT_POLL_SCHEMA, parseBody(event.body));
+    const {
+      question,
+      addOptions = [],
+      updateOptions = [],
+      removeOptions = [],
+    } = body;
+    const accessChanged = ACCESS_FIELDS.some((name) => name in body);
+    if (
+      question === undefined &&
+      !addOptions.length &&
+      !updateOptions.length &&
+      !removeOptions.length &&
+      !accessChanged
+    ) {
+      throw new ValidationError([
+        { field: "body", message: "must contain at least one change" },
+      ]);
+    }
 
-    // 1️⃣ Fetch poll
-    const poll = await ddbDocClient.send(
-      new GetCommand({
-        TableName: POLLS_TABLE,
-        Key: { PK: `POLL#${pollId}`, SK: "POLL" },
-      })
+    // 1️⃣ Fetch poll and its options
+    const poll = await getPollWithOptions(pollId);
+    if (!poll) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+    }
+    const { pollItem, optionItems } = poll;
+
+    // 2️⃣ Check ownership
+    if (pollItem.owner.email !== userId) {
+      throw new AppError(
+        ERROR_CODES.NOT_OWNER,
+        "You are not the owner of this poll"
+      );
+    }
+
+    if (getPollStatus(pollItem) === POLL_STATUS.CLOSED) {
+      throw new AppError(
+        ERROR_CODES.POLL_CLOSED,
+        "Closed polls cannot be edited"
+      );
+    }
+
+    // Allow-lists left out are kept while the poll stays private
+    const nextAccess = body.access ?? pollItem.access ?? POLL_ACCESS.PUBLIC;
+    const access =
+      accessChanged &&
+      accessSettings(
+        nextAccess,
+        nextAccess === POLL_ACCESS.PRIVATE
+          ? {
+              allowedEmails: body.allowedEmails ?? pollItem.allowedEmails,
+              allowedGroups: body.allowedGroups ?? pollItem.allowedGroups,
+            }
+          : body
+      );
+
+    // 3️⃣ Check the requested changes against the current options
+    const existingIds = new Set(optionItems.map((opt) => opt.optionId));
+    const unknownId = [
+      ...updateOptions.map((opt) => opt.id),
+      ...removeOptions,
+    ].find((id) => !existingIds.has(id));
+    if (unknownId !== undefined) {
+      throw new AppError(
+        ERROR_CODES.OPTION_NOT_FOUND,
+        `Option ${unknownId} does not exist on this poll`
+      );
+    }
+    // votesCount only tracks first preferences on ranked polls, so there an
+    // option also counts as voted on when it appears lower on any ballot
+    // (rankedCount). The transaction checks both again.
+    const votedOn = optionItems.find(
+      (opt) =>
+        (opt.votesCount > 0 || opt.rankedCount > 0) &&
+        (removeOptions.includes(opt.optionId) ||
+          updateOptions.some((update) => update.id === opt.optionId))
     );
+    if (votedOn) {
+      throw new AppError(
+        ERROR_CODES.OPTION_HAS_VOTES,
+        `Option ${votedOn.optionId} already has votes and cannot be changed`
+      );
+    }
 
-    if (!poll.Item) {
-      return {
-        statusCode: 404,
-        body: JSON.stringify({ message: "Poll not found" }),
-      };
+    // 4️⃣ Check the options the poll would end up with
+    const firstNewId = Math.max(0, ...existingIds) + 1;
+    const newOptionIds = addOptions.map((added, i) => firstNewId + i);
+    const optionIds = [
+      ...[...existingIds].filter((id) => !removeOptions.includes(id)),
+      ...newOptionIds,
+    ].sort((a, b) => a - b);
+    const optionTexts = [
+      ...optionItems
+        .filter((opt) => !removeOptions.includes(opt.optionId))
+        .map(
+          (opt) =>
+            updateOptions.find((update) => update.id === opt.optionId)?.text ??
+            opt.text
+        ),
+      ...addOptions,
+    ];
+    if (optionTexts.length < MIN_OPTIONS || optionTexts.length > MAX_OPTIONS) {
+      throw new ValidationError([
+        {
+          field: "options",
+          message: `a poll must have ${MIN_OPTIONS} to ${MAX_OPTIONS} options`,
+        },
+      ]);
+    }
+    // Only new wording is checked, so legacy polls with repeated options
+    // can still be edited
+    const textKeys = optionTexts.map(textKey);
+    const duplicate = [
+      ...addOptions,
+      ...updateOptions.map((update) => update.text),
+    ].find(
+      (value) =>
+        textKeys.indexOf(textKey(value)) !==
+        textKeys.lastIndexOf(textKey(value))
+    );
+    if (duplicate !== undefined) {
+      throw new ValidationError([
+        { field: "options", message: `"${duplicate}" is a duplicate` },
+      ]);
+    }
+    // Removing options lowers maxChoices to the number of options left
+    const maxChoices =
+      pollItem.type === POLL_TYPES.MULTIPLE &&
+      pollItem.maxChoices > optionTexts.length
+        ? optionTexts.length
+        : undefined;
+
+    // 5️⃣ Apply all changes atomically
+    const updatedAt = new Date().toISOString();
+    try {
+      await updatePoll(pollItem, {
+        question,
+        updateOptions,
+        removeOptions,
+        addOptions: addOptions.map((added, i) => ({
+          id: newOptionIds[i],
+          text: added,
+        })),
+        optionIds,
+        optionTexts,
+        maxChoices,
+        ...(access && { access }),
+        updatedAt,
+      });
+    } catch (err) {
+      if (err.name === "TransactionCanceledException") {
+        // A vote or another edit landed in between, the client can retry
+        throw new AppError(
+          ERROR_CODES.CONFLICT,
+          "Poll was modified concurrently, please retry"
+        );
+      }
+      throw err;
     }
 
-    // 2️⃣ Check ownership
-    if (poll.Item.owner.email !== userId) {
-      return {
-        statusCode: 403,
-        body: JSON.stringify({ message: "You are not the owner of this poll" }),
-      };
+    // 6️⃣ Let open clients refresh, with the poll as read after the edit so
+    // the frame carries the version of the options it holds
+    const current = await getPollTallies(pollId);
+    if (!current) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+    }
+    const updated = {
+      pollId,
+      question: current.pollItem.question,
+      ...(maxChoices !== undefined && { maxChoices }),
+      updatedAt,
+      options: current.options,
+    };
+    // Subscribers who lost access to a private poll are dropped instead. The
+    // edit is saved either way, so a failed broadcast is only logged.
+    try {
+      await broadcastResults(createCallbackAPI(), current.pollItem, {
+        type: "pollUpdated",
+        ...updated,
+      });
+    } catch (err) {
+      loggerFor(event).warn("Error broadcasting edited poll", {
+        pollId,
+        error: err,
+      });
     }
 
-    // 3️⃣ Query all items belonging to poll (options + votes + poll)
-    const pollItems = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        KeyConditionExpression: "PK = :pk",
-        ExpressionAttributeValues: { ":pk": `POLL#${pollId}` },
-      })
+    return { statusCode: 200, body: JSON.stringify(updated) };
+  } catch (err) {
+    return errorResponse(err, loggerFor(event), "Error editing poll");
+  }
+};
+
+const INVITE_SCHEMA = {
+  expiresInDays: integer({ min: 1, max: MAX_INVITE_DAYS, optional: true }),
+};
+
+// Create an invite token for a poll. Anyone holding it can read and vote on
+// the poll until it expires, even when private; the client shares it as the
+// `invite` query parameter of a link to the poll.
+export const createInviteHandler = async (event) => {
+  try {
+    const userId = event.requestContext.authorizer.claims.email;
+    const pollId = event.pathParameters.pollId;
+    const { expiresInDays = DEFAULT_INVITE_DAYS } = validate(
+      INVITE_SCHEMA,
+      parseBody(event.body)
     );
 
-    if (!pollItems.Items || pollItems.Items.length === 0) {
-      return {
-        statusCode: 404,
-        body: JSON.stringify({ message: "No items found for this poll" }),
-      };
+    // 1️⃣ Fetch poll
+    const pollItem = await getPoll(pollId);
+    if (!pollItem) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
     }
 
-    // 4️⃣ Batch delete all items
-    const deleteRequests = pollItems.Items.map((item) => ({
-      DeleteRequest: {
-        Key: { PK: item.PK, SK: item.SK },
-      },
-    }));
+    // 2️⃣ Check ownership
+    if (pollItem.owner.email !== userId) {
+      throw new AppError(
+        ERROR_CODES.NOT_OWNER,
+        "You are not the owner of this poll"
+      );
+    }
+
+    // 3️⃣ Sign the invite
+    const expiresAt = new Date(
+      Date.now() + expiresInDays * 24 * 60 * 60 * 1000
+    ).toISOString();
+
+    return {
+      statusCode: 201,
+      body: JSON.stringify({
+        pollId,
+        invite: createInviteToken(pollId, expiresAt),
+        expiresAt,
+      }),
+    };
+  } catch (err) {
+    return errorResponse(err, loggerFor(event), "Error creating invite");
+  }
+};
 
-    // DynamoDB BatchWrite supports max 25 items per call
-    while (deleteRequests.length > 0) {
-      const chunk = deleteRequests.splice(0, 25);
-      await ddbDocClient.send(
-        new BatchWriteCommand({
-          RequestItems: {
-            [POLLS_TABLE]: chunk,
-          },
-        })
+export const deletePollHandler = async (event) => {
+  try {
+    const userId = event.requestContext.authorizer.claims.email;
+    const pollId = event.pathParameters.pollId;
+
+    // 1️⃣ Fetch poll
+    const pollItem = await getPoll(pollId);
+    if (!pollItem) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+    }
+
+    // 2️⃣ Check ownership
+    if (pollItem.owner.email !== userId) {
+      throw new AppError(
+        ERROR_CODES.NOT_OWNER,
+        "You are not the owner of this poll"
       );
     }
 
+    // 3️⃣ Delete it with all its options and votes, and what was broadcast
+    // about it
+    await deletePoll(pollId);
+    await removeBroadcastState(pollId);
+
     return {
       statusCode: 200,
       body: JSON.stringify({ message: "Poll deleted successfully" }),
     };
   } catch (err) {
-    console.error("Error deleting poll:", err);
-    return {
-      statusCode: 500,
-      body: JSON.stringify({
-        message: "Failed to delete poll",
-        error: err.message,
-      }),
-    };
+    return errorResponse(err, loggerFor(event), "Error deleting poll");
   }
 };
 
@@ -464,111 +859,328 @@ export const getMyPollsHandler = async (event) => {
   try {
     const userEmail = event.requestContext.authorizer?.claims?.email;
     if (!userEmail) {
-      return { statusCode: 401, body: JSON.stringify({ message: "Unauthorized" }) };
+      throw new AppError(ERROR_CODES.UNAUTHORIZED, "Unauthorized");
     }
 
     const params = event.queryStringParameters || {};
-    const limit = parseInt(params.limit || "10", 10);
-    const lastKey = params.lastKey ? JSON.parse(params.lastKey) : undefined;
-
-    // Query polls owned by this user
-    const pollsResult = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        IndexName: "PollsByOwner-index",
-        KeyConditionExpression: "GSI2PK = :owner",
-        ExpressionAttributeValues: { ":owner": `OWNER#${userEmail}` },
-        Limit: limit,
-        ExclusiveStartKey: lastKey,
-        ScanIndexForward: false, // newest first
-      })
-    );
+    const limit = parseLimit(params.limit);
+    const lastKey = decodeCursor(params.lastKey, `myPolls:${userEmail}`);
 
-    const polls = [];
-    for (const pollItem of pollsResult.Items) {
-      const pollId = pollItem.pollId;
-
-      // Fetch options
-      const optionsResult = await ddbDocClient.send(
-        new QueryCommand({
-          TableName: POLLS_TABLE,
-          KeyConditionExpression: "PK = :pk AND begins_with(SK, :skPrefix)",
-          ExpressionAttributeValues: {
-            ":pk": `POLL#${pollId}`,
-            ":skPrefix": "OPTION#",
-          },
-        })
-      );
+    // Query polls owned by this user, newest first
+    const page = await listPollsByOwner(userEmail, { limit, lastKey });
 
-      const options = optionsResult.Items.map((opt) => ({
-        id: opt.optionId,
-        text: opt.text,
-        votesCount: opt.votesCount,
-      }));
-
-      // Fetch user vote for this poll
-      const userVote = await ddbDocClient.send(
-        new GetCommand({
-          TableName: POLLS_TABLE,
-          Key: { PK: `POLL#${pollId}`, SK: `VOTE#${userEmail}` },
-        })
-      );
+    // Fetch the options of the whole page and the user's votes at once
+    const { optionsByPoll, votesByPoll } = await getPollsPageDetails(
+      page.items,
+      userEmail
+    );
 
-      polls.push({
-        pollId,
+    const polls = page.items.map((pollItem) => {
+      const options = optionsByPoll.get(pollItem.pollId);
+      const userVote = votesByPoll.get(pollItem.pollId);
+      return {
+        pollId: pollItem.pollId,
         question: pollItem.question,
         createdAt: pollItem.createdAt,
         owner: pollItem.owner,
-        options,
-        userOption: userVote?.Item?.optionId || null,
-      });
-    }
+        ...pollTypeFields(pollItem),
+        status: getPollStatus(pollItem),
+        closesAt: pollItem.closesAt || null,
+        ...allowListFields(pollItem, userEmail),
+        ...listedOptions(pollItem, options, { viewerEmail: userEmail }),
+        ...userChoiceFields(userVote),
+        userOption: userVote?.optionId || null,
+      };
+    });
 
     return {
       statusCode: 200,
       body: JSON.stringify({
         items: polls,
-        lastKey: pollsResult.LastEvaluatedKey || null,
+        lastKey: encodeCursor(page.lastKey, `myPolls:${userEmail}`),
       }),
     };
   } catch (err) {
-    console.error("Error fetching polls by owner:", err);
+    return errorResponse(
+      err,
+      loggerFor(event),
+      "Error fetching polls by owner"
+    );
+  }
+};
+
+// Polls the caller has voted on, most recent vote first, each with the
+// caller's selection and when it was cast
+export const getMyVotesHandler = async (event) => {
+  try {
+    const userEmail = event.requestContext.authorizer?.claims?.email;
+    if (!userEmail) {
+      throw new AppError(ERROR_CODES.UNAUTHORIZED, "Unauthorized");
+    }
+
+    const params = event.queryStringParameters || {};
+    const limit = parseLimit(params.limit);
+    const lastKey = decodeCursor(params.lastKey, `myVotes:${userEmail}`);
+
+    // 1️⃣ Query the user's VOTE# items, latest first
+    const page = await listVotesByVoter(userEmail, { limit, lastKey });
+
+    // 2️⃣ Fetch the polls they belong to
+    const pollItems = await getPollsByIds(
+      page.items.map((vote) => vote.pollId)
+    );
+    const pollsById = new Map(
+      pollItems.map((pollItem) => [pollItem.pollId, pollItem])
+    );
+
+    // 3️⃣ Skip votes whose poll was deleted in the meantime, or that the
+    // caller can no longer access: a private poll's allow-lists may have
+    // changed, or the invite the vote was cast with expired, since
+    const viewer = viewerFromClaims(event.requestContext.authorizer.claims);
+    const votes = page.items.filter((vote) => {
+      const pollItem = pollsById.get(vote.pollId);
+      return pollItem && canAccessPoll(pollItem, viewer, vote.invite);
+    });
+
+    // 4️⃣ Fetch the options of the remaining polls at once
+    const { optionsByPoll } = await getPollsPageDetails(
+      votes.map((vote) => pollsById.get(vote.pollId))
+    );
+
+    const items = votes.map((vote) => {
+      const pollItem = pollsById.get(vote.pollId);
+      return {
+        pollId: pollItem.pollId,
+        question: pollItem.question,
+        createdAt: pollItem.createdAt,
+        owner: pollItem.owner,
+        ...pollTypeFields(pollItem),
+        status: getPollStatus(pollItem),
+        closesAt: pollItem.closesAt || null,
+        ...listedOptions(pollItem, optionsByPoll.get(pollItem.pollId), {
+          viewerEmail: userEmail,
+          hasVoted: true,
+        }),
+        ...userChoiceFields(vote),
+        votedAt: vote.createdAt,
+      };
+    });
+
     return {
-      statusCode: 500,
-      body: JSON.stringify({ error: err.message }),
+      statusCode: 200,
+      body: JSON.stringify({
+        items,
+        lastKey: encodeCursor(page.lastKey, `myVotes:${userEmail}`),
+      }),
     };
+  } catch (err) {
+    return errorResponse(
+      err,
+      loggerFor(event),
+      "Error fetching polls voted on"
+    );
   }
 };
-// Main dispatcher
-export const pollsHandler = async (event) => {
-  if (event.httpMethod === "POST") {
-    return includeHeader(await createPollHandler(event));
+
+// Close a poll and freeze its results, in one write so that a poll is never
+// closed without them. Resolves to null if the poll was already closed or no
+// longer exists.
+const closePoll = async (pollId, log) => {
+  const closedAt = new Date().toISOString();
+
+  const pollItem = await closePollWithResults(pollId, closedAt);
+  if (!pollItem) {
+    return null;
   }
+  const { results } = pollItem;
 
-  if (event.httpMethod === "GET" && event.resource === "/polls") {
-    return includeHeader(await listPollsHandler(event));
+  // Let open clients know the poll stopped accepting votes. The poll is
+  // closed either way, so a failed broadcast is only logged.
+  try {
+    await broadcastResults(createCallbackAPI(), pollItem, {
+      type: "pollClosed",
+      pollId,
+      closedAt,
+      results,
+    });
+  } catch (err) {
+    log.warn("Error broadcasting closed poll", { pollId, error: err });
   }
 
-  if (event.httpMethod === "GET" && event.resource === "/polls/{pollId}") {
-    return includeHeader(await getPollHandler(event));
+  return { closedAt, results };
+};
+
+export const closePollHandler = async (event) => {
+  try {
+    const userId = event.requestContext.authorizer.claims.email;
+    const pollId = event.pathParameters.pollId;
+
+    // 1️⃣ Fetch poll
+    const pollItem = await getPoll(pollId);
+    if (!pollItem) {
+      throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+    }
+
+    // 2️⃣ Check ownership
+    if (pollItem.owner.email !== userId) {
+      throw new AppError(
+        ERROR_CODES.NOT_OWNER,
+        "You are not the owner of this poll"
+      );
+    }
+
+    // 3️⃣ Close it
+    let closed;
+    try {
+      closed = await closePoll(pollId, loggerFor(event));
+    } catch (err) {
+      if (err.name === "TransactionCanceledException") {
+        // Votes kept landing while the results were read, the client can
+        // retry
+        throw new AppError(
+          ERROR_CODES.CONFLICT,
+          "Poll was modified concurrently, please retry"
+        );
+      }
+      throw err;
+    }
+    if (!closed) {
+      throw new AppError(ERROR_CODES.POLL_CLOSED, "Poll is already closed");
+    }
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({
+        message: "Poll closed successfully",
+        pollId,
+        ...closed,
+      }),
+    };
+  } catch (err) {
+    return errorResponse(err, loggerFor(event), "Error closing poll");
   }
+};
+
+// Scheduled job: close every open poll whose closesAt has passed
+export const closeExpiredPollsHandler = async () => {
+  const log = createLogger({ job: "closeExpiredPolls" });
+  const now = new Date().toISOString();
+  let lastKey;
+  let closedCount = 0;
+
+  do {
+    const page = await listExpiredPolls(now, lastKey);
+
+    for (const pollItem of page.items) {
+      try {
+        if (await closePoll(pollItem.pollId, log)) {
+          closedCount++;
+        }
+      } catch (err) {
+        // Keep going: the poll is left open and in the deadline index, so
+        // the next run picks it up again
+        log.error("Error closing poll", {
+          pollId: pollItem.pollId,
+          error: err,
+        });
+      }
+    }
+    lastKey = page.lastKey;
+  } while (lastKey);
+
+  log.info("Closed expired polls", { closedCount });
+  return { closedCount };
+};
+
+// Cast or change the caller's vote, with the same payload as the WebSocket
+// `vote` action; WebSocket subscribers get the updated tallies
+export const castVoteHandler = async (event) => {
+  try {
+    const claims = event.requestContext.authorizer.claims;
+    const pollId = event.pathParameters.pollId;
+
+    const body = parseBody(event.body);
+
+    const vote = await castVote(
+      pollId,
+      body,
+      { ...viewerFromClaims(claims), name: claims.name || claims.email },
+      { invite: event.queryStringParameters?.invite }
+    );
 
-  if (event.httpMethod === "GET" && event.resource === "/pollsAuth") {
-    return includeHeader(await authListPolls(event));
+    return {
+      statusCode: vote.unchanged ? 200 : 201,
+      body: JSON.stringify(vote),
+    };
+  } catch (err) {
+    return errorResponse(err, loggerFor(event), "Error casting vote");
   }
+};
 
-  if (event.httpMethod === "GET" && event.resource === "/pollsAuth/{pollId}") {
-    return includeHeader(await authGetPoll(event));
+// Withdraw the caller's vote; WebSocket subscribers get the updated tallies
+export const retractVoteHandler = async (event) => {
+  try {
+    const claims = event.requestContext.authorizer.claims;
+    const pollId = event.pathParameters.pollId;
+
+    const retracted = await retractVote(
+      pollId,
+      { ...viewerFromClaims(claims), name: claims.name || claims.email },
+      { invite: event.queryStringParameters?.invite }
+    );
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ message: "Vote retracted", ...retracted }),
+    };
+  } catch (err) {
+    return errorResponse(err, loggerFor(event), "Error retracting vote");
   }
-  if (event.httpMethod === "DELETE" && event.resource === "/polls/{pollId}") {
-    return includeHeader(await deletePollHandler(event));
+};
+
+// REST routes served by pollsHandler, by API Gateway resource and method
+const routes = {
+  "/polls": { GET: listPollsHandler, POST: createPollHandler },
+  "/polls/search": { GET: searchPollsHandler },
+  "/polls/{pollId}": {
+    GET: getPollHandler,
+    PATCH: editPollHandler,
+    DELETE: deletePollHandler,
+  },
+  "/polls/{pollId}/close": { POST: closePollHandler },
+  "/polls/{pollId}/invites": { POST: createInviteHandler },
+  "/polls/{pollId}/vote": { POST: castVoteHandler, DELETE: retractVoteHandler },
+  "/pollsAuth": { GET: authListPolls },
+  "/pollsAuth/search": { GET: searchPollsHandler },
+  "/pollsAuth/{pollId}": { GET: authGetPoll },
+  "/myPolls": { GET: getMyPollsHandler },
+  "/myVotes": { GET: getMyVotesHandler },
+};
+
+// Main dispatcher
+export const pollsHandler = async (event) => {
+  const methods = routes[event.resource];
+  if (!methods) {
+    return includeHeader(
+      errorResponse(
+        new AppError(ERROR_CODES.ROUTE_NOT_FOUND, "Route not found")
+      )
+    );
   }
-  if (event.httpMethod === "GET" && event.resource === "/myPolls") {
-    return includeHeader(await getMyPollsHandler(event));
+
+  const handler = methods[event.httpMethod];
+  if (!handler) {
+    const response = errorResponse(
+      new AppError(
+        ERROR_CODES.METHOD_NOT_ALLOWED,
+        `${event.httpMethod} is not allowed on this route`
+      )
+    );
+    return includeHeader({
+      ...response,
+      headers: { Allow: Object.keys(methods).join(", ") },
+    });
   }
 
-  return includeHeader({
-    statusCode: 400,
-    body: JSON.stringify({ error: "Unsupported route" }),
-  });
+  return includeHeader(await handler(event));
 };
@@ -0,0 +1,36 @@
+import { broadcastToPoll, coalesceBroadcast } from "./broadcast.mjs";
+import {
+  countPollSubscribers,
+  savePresenceCount,
+} from "./connectionRepository.mjs";
+
+// Live viewer counts. The viewers of a poll are the connections subscribed
+// to it, so the count follows subscribe, unsubscribe and disconnect without
+// a counter to keep in sync. Watchers get a `presence` frame when it
+// changes:
+// { type: "presence", pollId, viewers }
+
+// Joins and leaves within this window are announced together
+export const PRESENCE_DEBOUNCE_MS = 1000;
+
+export const countPollViewers = countPollSubscribers;
+
+// Tell a poll's watchers its viewer count after someone joined or left.
+// The joins and leaves of a burst are announced together, with the count as
+// it stands when the frame is sent.
+export const announcePresence = (pollId) =>
+  coalesceBroadcast("PRESENCE", pollId, PRESENCE_DEBOUNCE_MS);
+
+// Send the `presence` frame scheduled by announcePresence, unless the count
+// is the one already sent
+export const sendPresence = async (callbackAPI, pollId) => {
+  const viewers = await countPollViewers(pollId);
+  if (!(await savePresenceCount(pollId, viewers))) {
+    return;
+  }
+  await broadcastToPoll(callbackAPI, pollId, {
+    type: "presence",
+    pollId,
+    viewers,
+  });
+};
@@ -0,0 +1,149 @@
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, UpdateCommand } from "@aws-sdk/lib-dynamodb";
+import { AppError, ERROR_CODES } from "./errors.mjs";
+import { createLogger } from "./logger.mjs";
+
+// Per-user token buckets stored in the RateLimits table, so limits hold
+// across Lambda instances. A bucket holds up to `capacity` tokens and
+// refills at `capacity` tokens per `seconds`; every limited operation takes
+// one. Limits are configured as "<capacity>/<seconds>" through
+// RATE_LIMIT_CREATE_POLL, RATE_LIMIT_VOTE and RATE_LIMIT_MESSAGE.
+//
+// A bucket is stored as the time at which it will be full again (`tat`, in
+// ms): taking a token pushes it `seconds * 1000 / capacity` later, and the
+// bucket is empty while it is more than `seconds` ahead of now. This needs
+// no read, so each token is taken by one conditional update.
+
+const client = new DynamoDBClient({});
+const ddbDocClient = DynamoDBDocumentClient.from(client);
+const log = createLogger({ module: "rateLimit" });
+
+const RATE_LIMITS_TABLE = process.env.RATE_LIMITS_TABLE;
+
+// Concurrent requests of one user can move the bucket from one of the
+// update's cases to the other; give up (and let the request through) after
+// this many
+const MAX_ATTEMPTS = 3;
+
+const parseLimit = (value, fallback) => {
+  const [capacity, seconds] = String(value ?? "").split("/").map(Number);
+  return capacity > 0 && seconds > 0 ? { capacity, seconds } : fallback;
+};
+
+export const RATE_LIMITS = {
+  createPoll: parseLimit(process.env.RATE_LIMIT_CREATE_POLL, {
+    capacity: 10,
+    seconds: 600,
+  }),
+  vote: parseLimit(process.env.RATE_LIMIT_VOTE, { capacity: 30, seconds: 60 }),
+  message: parseLimit(process.env.RATE_LIMIT_MESSAGE, {
+    capacity: 120,
+    seconds: 60,
+  }),
+};
+
+// Raised when a bucket is empty; REST routes answer 429 with Retry-After
+export class RateLimitError extends AppError {
+  constructor(retryAfter) {
+    super(
+      ERROR_CODES.RATE_LIMITED,
+      `Too many requests, retry in ${retryAfter} seconds`,
+      { retryAfter }
+    );
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Take a token from a user's bucket. Resolves to null when one was taken,
+// or to the number of seconds until one is available.
+const takeToken = async (bucket, userKey) => {
+  const { capacity, seconds } = RATE_LIMITS[bucket];
+  const interval = (seconds * 1000) / capacity;
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const now = Date.now();
+    // Latest `tat` that still leaves a token
+    const limit = now + seconds * 1000 - interval;
+    const update = {
+      TableName: RATE_LIMITS_TABLE,
+      Key: { PK: `${bucket}#${userKey}` },
+      ExpressionAttributeValues: {
+        ":now": now,
+        // A bucket left alone this long is full again
+        ":expiresAt": Math.ceil(now / 1000) + seconds,
+      },
+      // Tells a limited bucket from one that changed case under us
+      ReturnValuesOnConditionCheckFailure: "ALL_OLD",
+    };
+
+    let tat;
+    try {
+      // Full bucket (or none yet): restart from now
+      await ddbDocClient.send(
+        new UpdateCommand({
+          ...update,
+          UpdateExpression: "SET tat = :next, expiresAt = :expiresAt",
+          ConditionExpression: "attribute_not_exists(tat) OR tat < :now",
+          ExpressionAttributeValues: {
+            ...update.ExpressionAttributeValues,
+            ":next": now + interval,
+          },
+        })
+      );
+      return null;
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException") {
+        throw err;
+      }
+      tat = Number(err.Item?.tat?.N);
+    }
+    if (tat > limit) {
+      return Math.ceil((tat - limit) / 1000);
+    }
+
+    try {
+      // Partly used bucket with a token left: take it
+      await ddbDocClient.send(
+        new UpdateCommand({
+          ...update,
+          UpdateExpression: "SET tat = tat + :interval, expiresAt = :expiresAt",
+          ConditionExpression: "tat >= :now AND tat <= :limit",
+          ExpressionAttributeValues: {
+            ...update.ExpressionAttributeValues,
+            ":interval": interval,
+            ":limit": limit,
+          },
+        })
+      );
+      return null;
+    } catch (err) {
+      if (err.name !== "ConditionalCheckFailedException") {
+        throw err;
+      }
+      tat = Number(err.Item?.tat?.N);
+    }
+    if (tat > limit) {
+      return Math.ceil((tat - limit) / 1000);
+    }
+    // Otherwise the bucket filled up meanwhile: start over
+  }
+
+  log.warn("Rate limiter gave up under contention", { bucket });
+  return null;
+};
+
+// Throw a RateLimitError when the user has no token left in the bucket
+// ("createPoll", "vote" or "message"). Errors of the limiter itself are
+// logged and let the request through.
+export const enforceRateLimit = async (bucket, userKey) => {
+  let retryAfter;
+  try {
+    retryAfter = await takeToken(bucket, userKey);
+  } catch (err) {
+    log.warn("Rate limiter unavailable", { bucket, error: err });
+    return;
+  }
+  if (retryAfter !== null) {
+    throw new RateLimitError(retryAfter);
+  }
+};
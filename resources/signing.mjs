@@ -0,0 +1,25 @@
+import { createHmac, timingSafeEqual } from "crypto";
+
+// Signed tokens handed out to clients (pagination cursors, invites):
+// payload + "." + base64url(HMAC-SHA256 of the payload). Each use has its own
+// secret, named by the environment variable holding it, so a token of one
+// kind is never accepted as another.
+const sign = (secretName, payload) => {
+  const secret = process.env[secretName];
+  if (!secret) {
+    throw new Error(`${secretName} is not configured`);
+  }
+  return createHmac("sha256", secret).update(payload).digest("base64url");
+};
+
+// Sign a payload with the secret in process.env[secretName]
+export const signToken = (secretName, payload) =>
+  `${payload}.${sign(secretName, payload)}`;
+
+// Whether a signature was made by signToken over the payload, compared in
+// constant time
+export const verifySignature = (secretName, payload, signature) => {
+  const expected = Buffer.from(sign(secretName, payload));
+  const actual = Buffer.from(String(signature));
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
@@ -0,0 +1,35 @@
+// Polls voted on recently are indexed in PollsByTrend-index under a single
+// partition. A poll counts the first votes cast on it per clock hour:
+// trendVotes during trendHour (hours since the epoch) and prevVotes during
+// the hour before. trendScore = trendHour * TREND_SCORE_BASE + trendVotes
+// only keys the index, so the polls voted on during this or the previous
+// hour can be read; they are ranked by trendingScore.
+export const TRENDING_PARTITION = "TRENDING";
+export const TREND_SCORE_BASE = 1_000_000;
+
+const HOUR_MS = 3_600_000;
+
+export const trendingHour = (date = new Date()) =>
+  Math.floor(date.getTime() / HOUR_MS);
+
+// Lowest index key still "hot": polls voted on during this or the previous
+// hour
+export const trendingScoreFloor = (date = new Date()) =>
+  (trendingHour(date) - 1) * TREND_SCORE_BASE;
+
+// Estimated number of votes in the hour up to `date`: the votes of the
+// current clock hour plus those of the previous one, weighted by the part
+// of it still inside the window
+export const trendingScore = (pollItem, date = new Date()) => {
+  const hour = trendingHour(date);
+  const elapsed = (date.getTime() % HOUR_MS) / HOUR_MS;
+  const votes = pollItem.trendVotes || 0;
+
+  if (pollItem.trendHour === hour) {
+    return votes + (pollItem.prevVotes || 0) * (1 - elapsed);
+  }
+  if (pollItem.trendHour === hour - 1) {
+    return votes * (1 - elapsed);
+  }
+  return 0;
+};
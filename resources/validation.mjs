@@ -0,0 +1,192 @@
+import { AppError, ERROR_CODES } from "./errors.mjs";
+
+// Schema validation for REST bodies, query strings and WebSocket messages.
+// A schema maps field names to rules; a rule is called with the field's
+// value, its path (e.g. "options[2]") and the list of errors, pushes
+// { field, message } entries for what is wrong and returns the cleaned value
+// (trimmed strings, numeric ids as numbers). `validate` collects the errors
+// of every field and throws them all at once in a ValidationError, reported
+// as VALIDATION_FAILED with an `errors` list.
+
+// Raised with every field-level error of a payload
+export class ValidationError extends AppError {
+  constructor(errors) {
+    super(
+      ERROR_CODES.VALIDATION_FAILED,
+      errors.map(({ field, message }) => `${field} ${message}`).join("; "),
+      { errors }
+    );
+    this.errors = errors;
+  }
+}
+
+const isMissing = (value) => value === undefined || value === null;
+
+const fail = (errors, field, message) => {
+  errors.push({ field, message });
+  return undefined;
+};
+
+// Wrap a rule so that missing values are accepted (and left out) unless the
+// field is required
+const rule =
+  (check) =>
+  ({ optional = false, ...options } = {}) =>
+  (value, field, errors) => {
+    if (isMissing(value)) {
+      return optional ? undefined : fail(errors, field, "is required");
+    }
+    return check(value, field, errors, options);
+  };
+
+// Non-blank string, trimmed
+export const text = rule((value, field, errors, { maxLength }) => {
+  if (typeof value !== "string" || value.trim() === "") {
+    return fail(errors, field, "must be a non-empty string");
+  }
+  const trimmed = value.trim();
+  if (maxLength && trimmed.length > maxLength) {
+    return fail(errors, field, `must be at most ${maxLength} characters`);
+  }
+  return trimmed;
+});
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Email address, trimmed and lower-cased
+export const email = rule((value, field, errors) =>
+  typeof value === "string" && EMAIL.test(value.trim()) && value.length <= 254
+    ? value.trim().toLowerCase()
+    : fail(errors, field, "must be an email address")
+);
+
+// One of a fixed set of values
+export const oneOf = (values, options) =>
+  rule((value, field, errors) =>
+    values.includes(value)
+      ? value
+      : fail(errors, field, `must be one of ${values.join(", ")}`)
+  )(options);
+
+export const integer = rule((value, field, errors, { min, max }) => {
+  if (!Number.isInteger(value)) {
+    return fail(errors, field, "must be an integer");
+  }
+  if (min !== undefined && value < min) {
+    return fail(errors, field, `must be at least ${min}`);
+  }
+  if (max !== undefined && value > max) {
+    return fail(errors, field, `must be at most ${max}`);
+  }
+  return value;
+});
+
+// Option ids are positive integers; accept them as numbers or numeric strings
+export const optionId = rule((value, field, errors) => {
+  const id =
+    typeof value === "string" && value.trim() !== "" ? Number(value) : value;
+  return Number.isInteger(id) && id > 0
+    ? id
+    : fail(errors, field, "must be a positive integer");
+});
+
+// Date, normalised to an ISO string; `future` rejects dates not after now
+export const date = rule((value, field, errors, { future }) => {
+  const parsed = new Date(value);
+  if (
+    (typeof value !== "string" && typeof value !== "number") ||
+    isNaN(parsed.getTime())
+  ) {
+    return fail(errors, field, "must be a date");
+  }
+  if (future && parsed.getTime() <= Date.now()) {
+    return fail(errors, field, "must be a date in the future");
+  }
+  return parsed.toISOString();
+});
+
+// Array whose items all pass `itemRule`. `uniqueBy` maps a cleaned item to
+// the key that must not repeat.
+export const list = (itemRule, options) =>
+  rule((value, field, errors, { minItems, maxItems, uniqueBy }) => {
+    if (!Array.isArray(value)) {
+      return fail(errors, field, "must be an array");
+    }
+    if (minItems !== undefined && value.length < minItems) {
+      return fail(errors, field, `must have at least ${minItems} items`);
+    }
+    if (maxItems !== undefined && value.length > maxItems) {
+      return fail(errors, field, `must have at most ${maxItems} items`);
+    }
+
+    const itemErrors = [];
+    const items = value.map((item, i) =>
+      itemRule(item, `${field}[${i}]`, itemErrors)
+    );
+    if (itemErrors.length > 0) {
+      errors.push(...itemErrors);
+      return undefined;
+    }
+
+    if (uniqueBy) {
+      const seen = new Set();
+      for (const [i, item] of items.entries()) {
+        const key = uniqueBy(item);
+        if (seen.has(key)) {
+          return fail(errors, `${field}[${i}]`, "is a duplicate");
+        }
+        seen.add(key);
+      }
+    }
+    return items;
+  })(options);
+
+// Nested object validated against its own schema
+export const object = (schema, options) =>
+  rule((value, field, errors) => {
+    if (typeof value !== "object" || Array.isArray(value)) {
+      return fail(errors, field, "must be an object");
+    }
+    return validateFields(schema, value, `${field}.`, errors);
+  })(options);
+
+const validateFields = (schema, input, prefix, errors) => {
+  const output = {};
+  for (const [name, fieldRule] of Object.entries(schema)) {
+    const value = fieldRule(input[name], `${prefix}${name}`, errors);
+    if (value !== undefined) {
+      output[name] = value;
+    }
+  }
+  return output;
+};
+
+// Validate a payload against a schema. Returns the cleaned fields of the
+// schema (unknown fields are dropped), or throws a ValidationError.
+export const validate = (schema, input) => {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    throw new ValidationError([
+      { field: "body", message: "must be a JSON object" },
+    ]);
+  }
+  const errors = [];
+  const output = validateFields(schema, input, "", errors);
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return output;
+};
+
+// Parse a JSON request or message body; a missing body is an empty object
+export const parseBody = (body) => {
+  try {
+    return JSON.parse(body || "{}");
+  } catch (err) {
+    throw new ValidationError([
+      { field: "body", message: "must be valid JSON" },
+    ]);
+  }
+};
+
+// Text comparison key for de-duplicating option texts
+export const textKey = (value) => value.toLowerCase();
@@ -0,0 +1,63 @@
+import { POLL_STATUS, getPollStatus } from "./pollStatus.mjs";
+
+// Who may see which user cast a vote on a poll
+export const VOTER_VISIBILITY = {
+  // everyone sees voter names, only the owner sees their emails
+  PUBLIC: "public",
+  // only the owner sees voters
+  OWNER: "owner",
+  // nobody sees voters, not even the owner
+  ANONYMOUS: "anonymous",
+};
+
+// Voter identity to return for a vote, given who is looking. viewerEmail is
+// undefined for unauthenticated reads and broadcasts, which therefore never
+// carry emails. Resolves to undefined when the voter must stay hidden.
+// Polls created before this setting existed are public.
+export const presentVoter = (pollItem, user, viewerEmail) => {
+  const isOwner =
+    viewerEmail !== undefined && pollItem.owner?.email === viewerEmail;
+  const visibility = pollItem.visibility || VOTER_VISIBILITY.PUBLIC;
+
+  if (visibility === VOTER_VISIBILITY.PUBLIC) {
+    return isOwner ? user : { name: user?.name };
+  }
+  if (visibility === VOTER_VISIBILITY.OWNER && isOwner) {
+    return user;
+  }
+  return undefined;
+};
+
+// Who may see the vote tallies of a poll. The owner always can.
+export const RESULTS_VISIBILITY = {
+  ALWAYS: "always",
+  // once the viewer has voted, or the poll is closed
+  AFTER_VOTE: "afterVote",
+  // once the poll is closed
+  AFTER_CLOSE: "afterClose",
+  OWNER_ONLY: "ownerOnly",
+};
+
+// Whether a viewer may see a poll's tallies. viewerEmail is undefined for
+// unauthenticated reads. Polls created before this setting existed always
+// show their results.
+export const canSeeResults = (pollItem, { viewerEmail, hasVoted = false }) => {
+  const isOwner =
+    viewerEmail !== undefined && pollItem.owner?.email === viewerEmail;
+  const isClosed = getPollStatus(pollItem) === POLL_STATUS.CLOSED;
+
+  switch (pollItem.resultsVisibility || RESULTS_VISIBILITY.ALWAYS) {
+    case RESULTS_VISIBILITY.ALWAYS:
+      return true;
+    case RESULTS_VISIBILITY.AFTER_VOTE:
+      return isOwner || hasVoted || isClosed;
+    case RESULTS_VISIBILITY.AFTER_CLOSE:
+      return isOwner || isClosed;
+    default:
+      return isOwner;
+  }
+};
+
+// Options without their tallies, for viewers who may not see results
+export const hideTallies = (options) =>
+  options.map(({ votesCount, ...option }) => option);
@@ -1,23 +1,23 @@
-import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { createCallbackAPI, sendToConnection } from "./broadcast.mjs";
+import { getPollStatus } from "./pollStatus.mjs";
+import { POLL_TYPES, userChoiceFields } from "./pollTypes.mjs";
+import { canSeeResults, hideTallies } from "./visibility.mjs";
+import { getPoll, getPollOptions, getVote } from "./pollRepository.mjs";
+import { parseGroups, requirePollAccess } from "./access.mjs";
+import { castVote, retractVote } from "./voting.mjs";
+import { ValidationError, text, validate } from "./validation.mjs";
+import { AppError, ERROR_CODES, errorBody } from "./errors.mjs";
+import { loggerFor } from "./logger.mjs";
+import { enforceRateLimit } from "./rateLimit.mjs";
+import { announcePresence, countPollViewers } from "./presence.mjs";
 import {
-  DynamoDBDocumentClient,
-  GetCommand,
-  PutCommand,
-  UpdateCommand,
-  DeleteCommand,
-  ScanCommand,
-  QueryCommand,
-} from "@aws-sdk/lib-dynamodb";
-import {
-  ApiGatewayManagementApiClient,
-  PostToConnectionCommand,
-} from "@aws-sdk/client-apigatewaymanagementapi";
-
-const client = new DynamoDBClient({});
-const ddbDocClient = DynamoDBDocumentClient.from(client);
-
-const CONNECTIONS_TABLE = process.env.CONNECTIONS_TABLE;
-const POLLS_TABLE = process.env.POLLS_TABLE;
+  saveConnection,
+  getConnectionUser,
+  touchConnection,
+  removeConnection,
+  subscribe,
+  unsubscribe,
+} from "./connectionRepository.mjs";
 
 // Handle new connections
 export const connectHandler = async (event) => {
@@ -25,23 +25,14 @@ export const connectHandler = async (event) => {
   const userContext = event.requestContext.authorizer || {};
   const username = userContext.username;
   const email = userContext.email;
-  console.log("CONNECT:", connectionId);
+  const groups = parseGroups(userContext.groups);
+  const log = loggerFor(event);
+  log.info("Connected");
 
   try {
-    await ddbDocClient.send(
-      new PutCommand({
-        TableName: CONNECTIONS_TABLE,
-        Item: {
-          PK: connectionId,
-          user: {
-            name: username,
-            email: email,
-          },
-        },
-      })
-    );
+    await saveConnection(connectionId, { name: username, email, groups });
   } catch (err) {
-    console.log(err);
+    log.error("Error saving connection", { error: err });
     return { statusCode: 500 };
   }
 
@@ -51,139 +42,224 @@ export const connectHandler = async (event) => {
 // Handle disconnects
 export const disconnectHandler = async (event) => {
   const connectionId = event.requestContext.connectionId;
-  console.log("DISCONNECT:", connectionId);
+  const log = loggerFor(event);
+  log.info("Disconnected");
 
+  let pollIds;
   try {
-    await ddbDocClient.send(
-      new DeleteCommand({
-        TableName: CONNECTIONS_TABLE,
-        Key: { PK: connectionId },
-      })
-    );
+    pollIds = await removeConnection(connectionId);
   } catch (err) {
-    console.log(err);
+    log.error("Error removing connection", { error: err });
     return { statusCode: 500 };
   }
 
+  // The polls this connection watched lost a viewer
+  const results = await Promise.allSettled(
+    pollIds.map((pollId) => announcePresence(pollId))
+  );
+  results
+    .filter((result) => result.status === "rejected")
+    .forEach((result) =>
+      log.warn("Error announcing presence", { error: result.reason })
+    );
+
   return { statusCode: 200 };
 };
 
+// Get the user attached to a connection by connectHandler
+const requireConnectionUser = async (connectionId) => {
+  const user = await getConnectionUser(connectionId);
+  if (!user) {
+    throw new Error("User not found for this connection");
+  }
+  return user;
+};
 
-export const messagesHandler = async (event) => {
-  try {
-    const body = JSON.parse(event.body);
-    const { pollId, optionId } = body;
-    const connectionId = event.requestContext.connectionId;
-
-    // 1️⃣ Get user info from CONNECTIONS_TABLE
-    const conn = await ddbDocClient.send(
-      new GetCommand({
-        TableName: CONNECTIONS_TABLE,
-        Key: { PK: connectionId },
-      })
-    );
+// Messages about a poll name it by `pollId`; private polls also take the
+// `invite` token the client was given, if any (see access.mjs)
+const POLL_ID_SCHEMA = {
+  pollId: text({ maxLength: 64 }),
+  invite: text({ maxLength: 1024, optional: true }),
+};
 
-    if (!conn.Item || !conn.Item.user) {
-      throw new Error("User not found for this connection");
-    }
+const requirePollId = (body) => validate(POLL_ID_SCHEMA, body).pollId;
 
-    const { email: userId, name: userName } = conn.Item.user;
-    const createdAt = new Date().toISOString();
+// The poll a message is about, once the caller's access to it is checked,
+// along with the caller and the invite it came with
+const requireReadablePoll = async (connectionId, body) => {
+  const { pollId, invite } = validate(POLL_ID_SCHEMA, body);
+  const pollItem = await getPoll(pollId);
+  if (!pollItem) {
+    throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+  }
+  const user = await requireConnectionUser(connectionId);
+  requirePollAccess(pollItem, user, invite);
+  return { pollId, pollItem, user, invite };
+};
 
-    // 2️⃣ Check if user has already voted
-    const previousVote = await ddbDocClient.send(
-      new GetCommand({
-        TableName: POLLS_TABLE,
-        Key: { PK: `POLL#${pollId}`, SK: `VOTE#${userId}` },
-      })
-    );
+// Cast or change the caller's vote on a poll
+const voteAction = async ({ connectionId, defer }, body) => {
+  const { pollId, invite } = validate(POLL_ID_SCHEMA, body);
+  const user = await requireConnectionUser(connectionId);
+  return castVote(pollId, body, user, { defer, invite });
+};
 
-    // 3️⃣ If user voted before, decrement previous option count
-    if (previousVote.Item) {
-      await ddbDocClient.send(
-        new UpdateCommand({
-          TableName: POLLS_TABLE,
-          Key: { PK: `POLL#${pollId}`, SK: `OPTION#${previousVote.Item.optionId}` },
-          UpdateExpression: "SET votesCount = votesCount - :dec",
-          ExpressionAttributeValues: { ":dec": 1 },
-        })
-      );
-    }
+// Withdraw the caller's vote on a poll
+const retractVoteAction = async ({ connectionId, defer }, body) => {
+  const { pollId, invite } = validate(POLL_ID_SCHEMA, body);
+  const user = await requireConnectionUser(connectionId);
+  return retractVote(pollId, user, { defer, invite });
+};
 
-    // 4️⃣ Increment new option votesCount
-    await ddbDocClient.send(
-      new UpdateCommand({
-        TableName: POLLS_TABLE,
-        Key: { PK: `POLL#${pollId}`, SK: `OPTION#${optionId}` },
-        UpdateExpression: "SET votesCount = votesCount + :inc",
-        ExpressionAttributeValues: { ":inc": 1 },
-      })
-    );
+// Start receiving vote updates for a poll. The reply carries the poll's
+// viewer count, the other watchers get it in a presence frame. Subscribers
+// who lose access to a private poll get an accessRevoked frame and are
+// unsubscribed (see broadcastToPoll).
+const subscribeAction = async ({ connectionId, defer }, body) => {
+  const { pollId, invite } = await requireReadablePoll(connectionId, body);
+  await subscribe(connectionId, pollId, invite);
+  defer(() => announcePresence(pollId));
+  return { pollId, viewers: await countPollViewers(pollId) };
+};
 
-    // 5️⃣ Persist user's vote using PutCommand ✅ ensures createdAt is stored
-    await ddbDocClient.send(
-      new PutCommand({
-        TableName: POLLS_TABLE,
-        Item: {
-          PK: `POLL#${pollId}`,
-          SK: `VOTE#${userId}`,
-          optionId,
-          user: { email: userId, name: userName },
-          createdAt, // ✅ now guaranteed to persist
-        },
-      })
-    );
+// Stop receiving vote updates for a poll
+const unsubscribeAction = async ({ connectionId, defer }, body) => {
+  const pollId = requirePollId(body);
+  await unsubscribe(connectionId, pollId);
+  defer(() => announcePresence(pollId));
+  return { pollId };
+};
 
-    // 6️⃣ Fetch updated poll options
-    const pollResult = await ddbDocClient.send(
-      new QueryCommand({
-        TableName: POLLS_TABLE,
-        KeyConditionExpression: "PK = :pk AND begins_with(SK, :skPrefix)",
-        ExpressionAttributeValues: {
-          ":pk": `POLL#${pollId}`,
-          ":skPrefix": "OPTION#",
-        },
-      })
-    );
+// Fetch a poll with its current tallies and the caller's vote
+const getPollAction = async ({ connectionId }, body) => {
+  const {
+    pollId,
+    pollItem,
+    user: { email: userId },
+  } = await requireReadablePoll(connectionId, body);
+  const userVote = await getVote(pollId, userId);
 
-    const options = pollResult.Items.map((opt) => ({
-      id: Number(opt.SK.split("#")[1]),
-      text: opt.text,
-      votesCount: opt.votesCount,
-    }));
+  const options = await getPollOptions(pollId);
+  const showResults = canSeeResults(pollItem, {
+    viewerEmail: userId,
+    hasVoted: Boolean(userVote),
+  });
 
-    // 7️⃣ Broadcast updated poll to all connections
-    const connections = await ddbDocClient.send(
-      new ScanCommand({ TableName: CONNECTIONS_TABLE })
+  return {
+    pollId,
+    question: pollItem.question,
+    createdAt: pollItem.createdAt,
+    owner: pollItem.owner,
+    type: pollItem.type || POLL_TYPES.SINGLE,
+    maxChoices: pollItem.maxChoices,
+    status: getPollStatus(pollItem),
+    closesAt: pollItem.closesAt || null,
+    options: showResults ? options : hideTallies(options),
+    resultsHidden: !showResults,
+    viewers: await countPollViewers(pollId),
+    ...userChoiceFields(userVote),
+  };
+};
+
+// Heartbeat: like any message it keeps the connection alive, see
+// touchConnection in connectionRepository.mjs
+const pingAction = async () => ({ serverTime: new Date().toISOString() });
+
+const actions = {
+  vote: voteAction,
+  retractVote: retractVoteAction,
+  subscribe: subscribeAction,
+  unsubscribe: unsubscribeAction,
+  getPoll: getPollAction,
+  ping: pingAction,
+};
+
+// Main dispatcher for WebSocket messages. Every message gets a reply frame
+// ({ type: "reply", action, requestId, ok, data | error }) on the caller's
+// connection; messages without an action are treated as votes. Actions on
+// a poll other than unsubscribe check the caller may access it, and can
+// `defer` work to run once the reply is sent.
+export const messagesHandler = async (event) => {
+  const connectionId = event.requestContext.connectionId;
+  const callbackAPI = createCallbackAPI(
+    `https://${event.requestContext.domainName}/${event.requestContext.stage}`
+  );
+
+  let body;
+  try {
+    body = JSON.parse(event.body);
+  } catch (err) {
+    body = undefined;
+  }
+  const action = body?.action ?? "vote";
+  const log = loggerFor(event).child({
+    action,
+    clientRequestId: body?.requestId,
+  });
+  log.debug("Message received");
+
+  const reply = async (payload) => {
+    try {
+      await sendToConnection(callbackAPI, connectionId, {
+        type: "reply",
+        action,
+        requestId: body?.requestId,
+        ...payload,
+      });
+    } catch (err) {
+      log.warn("Error sending reply", { error: err });
+    }
+  };
+
+  // Any message counts as activity and pushes back the connection's TTL
+  try {
+    await touchConnection(connectionId);
+  } catch (err) {
+    log.warn("Error refreshing connection TTL", { error: err });
+  }
+
+  try {
+    // Every message counts against the sender's limit, even a malformed one
+    await enforceRateLimit(
+      "message",
+      event.requestContext.authorizer?.email ?? connectionId
     );
 
-    const callbackAPI = new ApiGatewayManagementApiClient({
-      endpoint: `https://${event.requestContext.domainName}/${event.requestContext.stage}`,
-    });
-
-    await Promise.allSettled(
-      connections.Items.map(async ({ PK: connId }) => {
-        try {
-          await callbackAPI.send(
-            new PostToConnectionCommand({
-              ConnectionId: connId,
-              Data: JSON.stringify({
-                pollId,
-                options,
-                user: { name: userName, email: userId },
-                createdAt,
-              }),
-            })
-          );
-        } catch (err) {
-          console.error("Send error:", err);
-        }
-      })
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      throw new ValidationError([
+        { field: "body", message: "must be a JSON object" },
+      ]);
+    }
+
+    const handler = actions[action];
+    if (!handler) {
+      throw new AppError(
+        ERROR_CODES.UNKNOWN_ACTION,
+        `Unknown action: ${action}`
+      );
+    }
+
+    const deferred = [];
+    const defer = (task) => deferred.push(task);
+    const data = await handler(
+      { event, connectionId, callbackAPI, defer },
+      body
     );
+    await reply({ ok: true, data });
 
+    const results = await Promise.allSettled(deferred.map((task) => task()));
+    results
+      .filter((result) => result.status === "rejected")
+      .forEach((result) =>
+        log.warn("Error in deferred task", { error: result.reason })
+      );
     return { statusCode: 200 };
   } catch (err) {
-    console.error("Error in messagesHandler:", err);
-    return { statusCode: 500, body: JSON.stringify({ error: err.message }) };
+    // Internal details are only logged, the client gets INTERNAL_ERROR
+    if (!(err instanceof AppError)) {
+      log.error("Error handling message", { error: err });
+    }
+    await reply({ ok: false, error: errorBody(err) });
+    return { statusCode: err instanceof AppError ? 200 : 500 };
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,183 @@
+import { broadcastTallies } from "./broadcast.mjs";
+import {
+  VoteWriteError,
+  getPoll,
+  getPollOptions,
+  recordVote,
+  removeVote,
+  recordTrendingVote,
+  removeTrendingVote,
+} from "./pollRepository.mjs";
+import { POLL_STATUS, getPollStatus } from "./pollStatus.mjs";
+import { POLL_TYPES } from "./pollTypes.mjs";
+import { ValidationError, optionId, list, validate } from "./validation.mjs";
+import { AppError, ERROR_CODES } from "./errors.mjs";
+import { enforceRateLimit } from "./rateLimit.mjs";
+import { isListed, canAccessPoll, requirePollAccess } from "./access.mjs";
+import { createLogger } from "./logger.mjs";
+
+// Vote operations shared by the WebSocket actions (votes.mjs) and the REST
+// routes (polls.mjs). Problems the caller can fix are raised as AppErrors.
+// Casting and withdrawing votes share the per-user "vote" rate limit. The
+// user is { email, name, groups }; private polls also accept the `invite`
+// token the caller came with (see access.mjs).
+
+const log = createLogger({ module: "voting" });
+
+// Run a vote write from the repository, turning the reasons its
+// transaction was cancelled into errors for the caller
+const writeVote = async (write) => {
+  try {
+    return await write();
+  } catch (err) {
+    if (!(err instanceof VoteWriteError)) {
+      throw err;
+    }
+    switch (err.reason) {
+      case "pollClosed":
+        throw new AppError(
+          ERROR_CODES.POLL_CLOSED,
+          "Poll is closed or no longer exists"
+        );
+      case "unknownOption":
+        throw new AppError(
+          ERROR_CODES.OPTION_NOT_FOUND,
+          `Option ${err.optionId} does not exist on this poll`
+        );
+      default:
+        throw new AppError(
+          ERROR_CODES.CONFLICT,
+          "Vote conflicted with another update, please retry"
+        );
+    }
+  }
+};
+
+// Schema of the vote payload expected by the poll's type, read into the
+// attributes stored on the VOTE# item:
+// - single:   { optionId }
+// - multiple: { optionIds } with at most maxChoices entries
+// - ranked:   { ranking } ordered from most to least preferred
+const choiceSchema = (pollItem) => {
+  const sameId = (id) => id;
+  switch (pollItem.type || POLL_TYPES.SINGLE) {
+    case POLL_TYPES.MULTIPLE:
+      return {
+        optionIds: list(optionId(), {
+          minItems: 1,
+          maxItems: pollItem.maxChoices,
+          uniqueBy: sameId,
+        }),
+      };
+    case POLL_TYPES.RANKED:
+      return {
+        ranking: list(optionId(), { minItems: 1, uniqueBy: sameId }),
+      };
+    default:
+      return { optionId: optionId() };
+  }
+};
+
+// The POLL item of an open poll the user may vote on
+const requireVotablePoll = async (pollId, user, invite) => {
+  const pollItem = await getPoll(pollId);
+  if (!pollItem) {
+    throw new AppError(ERROR_CODES.POLL_NOT_FOUND, "Poll not found");
+  }
+  requirePollAccess(pollItem, user, invite);
+  if (getPollStatus(pollItem) === POLL_STATUS.CLOSED) {
+    throw new AppError(ERROR_CODES.POLL_CLOSED, "Poll is closed");
+  }
+  return pollItem;
+};
+
+// Check that a vote targets an open poll the user may vote on and only
+// options of that poll before anything is written. Resolves to the POLL item
+// and the parsed choice.
+const validateVote = async (pollId, body, user, invite) => {
+  const pollItem = await requireVotablePoll(pollId, user, invite);
+
+  const choice = validate(choiceSchema(pollItem), body);
+  const [field] = Object.keys(choice);
+  const optionIds = new Set((await getPollOptions(pollId)).map((o) => o.id));
+  const unknown = [choice[field]].flat().find((id) => !optionIds.has(id));
+  if (unknown !== undefined) {
+    throw new ValidationError([
+      { field, message: `option ${unknown} does not exist on this poll` },
+    ]);
+  }
+
+  return { pollItem, choice };
+};
+
+// Run a task right away; WebSocket actions pass their own `defer` to run it
+// once the reply is sent. Deferred tasks run after the vote is written, so a
+// failure is only logged rather than failing a vote that went through.
+const runNow = async (task) => {
+  try {
+    await task();
+  } catch (err) {
+    log.warn("Error in deferred task", { error: err });
+  }
+};
+
+// Validate and record a user's vote, then broadcast the updated tallies to
+// the poll's subscribers (coalesced, see broadcastTallies)
+export const castVote = async (
+  pollId,
+  body,
+  user,
+  { defer = runNow, invite } = {}
+) => {
+  await enforceRateLimit("vote", user.email);
+  const { pollItem, choice } = await validateVote(pollId, body, user, invite);
+
+  // Keep the invite with the vote when the user needed it, so the poll
+  // stays in their votes while it is valid
+  const recorded = await writeVote(() =>
+    recordVote(pollItem, choice, user, {
+      invite: canAccessPoll(pollItem, user) ? undefined : invite,
+    })
+  );
+  if (!recorded) {
+    // Re-voting for the same options changes nothing
+    return { pollId, ...choice, unchanged: true };
+  }
+  const { createdAt, firstVote } = recorded;
+  // Only listed polls trend, and only on new voters
+  if (firstVote && isListed(pollItem)) {
+    await recordTrendingVote(pollId);
+  }
+
+  // Broadcast updated poll to the connections watching it
+  await defer(() => broadcastTallies(pollId));
+
+  return { pollId, ...choice, createdAt };
+};
+
+// Withdraw a user's vote, then broadcast the updated tallies to the poll's
+// subscribers
+export const retractVote = async (
+  pollId,
+  user,
+  { defer = runNow, invite } = {}
+) => {
+  await enforceRateLimit("vote", user.email);
+  const pollItem = await requireVotablePoll(pollId, user, invite);
+
+  const retracted = await writeVote(() => removeVote(pollItem, user));
+  if (!retracted) {
+    throw new AppError(
+      ERROR_CODES.NOT_VOTED,
+      "You have not voted on this poll"
+    );
+  }
+  const { retractedAt, firstVotedAt } = retracted;
+  if (isListed(pollItem)) {
+    await removeTrendingVote(pollId, firstVotedAt);
+  }
+
+  await defer(() => broadcastTallies(pollId));
+
+  return { pollId, retractedAt };
+};
@@ -0,0 +1,64 @@
+import { jest } from "@jest/globals";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import {
+  DynamoDBDocumentClient,
+  BatchWriteCommand,
+} from "@aws-sdk/lib-dynamodb";
+import { batchWriteAll } from "../resources/batchWrite.mjs";
+
+const ddbDocClient = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+
+const deletes = (count) =>
+  Array.from({ length: count }, (_, i) => ({
+    DeleteRequest: { Key: { PK: `POLL#${i}`, SK: "POLL" } },
+  }));
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("batchWriteAll", () => {
+  test("writes 25 requests per call", async () => {
+    const send = jest
+      .spyOn(DynamoDBDocumentClient.prototype, "send")
+      .mockResolvedValue({ UnprocessedItems: {} });
+
+    await batchWriteAll(ddbDocClient, "Polls", deletes(60));
+
+    expect(send).toHaveBeenCalledTimes(3);
+    expect(
+      send.mock.calls.map(([command]) => [
+        command instanceof BatchWriteCommand,
+        command.input.RequestItems.Polls.length,
+      ])
+    ).toEqual([
+      [true, 25],
+      [true, 25],
+      [true, 10],
+    ]);
+  });
+
+  test("retries unprocessed requests until none are left", async () => {
+    const requests = deletes(3);
+    const send = jest
+      .spyOn(DynamoDBDocumentClient.prototype, "send")
+      .mockResolvedValueOnce({ UnprocessedItems: { Polls: requests.slice(1) } })
+      .mockResolvedValueOnce({ UnprocessedItems: { Polls: requests.slice(2) } })
+      .mockResolvedValueOnce({});
+
+    await batchWriteAll(ddbDocClient, "Polls", requests);
+
+    expect(
+      send.mock.calls.map(([command]) => command.input.RequestItems.Polls)
+    ).toEqual([requests, requests.slice(1), requests.slice(2)]);
+  });
+
+  test("leaves the given requests untouched", async () => {
+    jest.spyOn(DynamoDBDocumentClient.prototype, "send").mockResolvedValue({});
+    const requests = deletes(30);
+
+    await batchWriteAll(ddbDocClient, "Polls", requests);
+
+    expect(requests).toHaveLength(30);
+  });
+});
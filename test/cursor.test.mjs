@@ -0,0 +1,174 @@
+import { jest } from "@jest/globals";
+import { DynamoDBDocumentClient, QueryCommand } from "@aws-sdk/lib-dynamodb";
+
+// List routes hand out signed, scoped cursors as `lastKey` and cap `limit`
+// (see cursor.mjs). These tests go through the handlers with DynamoDB
+// answering every Query with an empty page that has more after it.
+
+process.env.POLLS_TABLE = "Polls";
+process.env.CURSOR_SECRET = "test-secret";
+process.env.LOG_LEVEL = "error";
+
+const { listPollsHandler, getMyPollsHandler } = await import(
+  "../resources/polls.mjs"
+);
+
+const NEXT_KEY = { PK: "POLL#poll-9", SK: "POLL", GSI1PK: "POLL" };
+
+const serveEmptyPages = () => {
+  const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+  send.mockImplementation(async (command) => {
+    if (command instanceof QueryCommand) {
+      return { Items: [], LastEvaluatedKey: NEXT_KEY };
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return send;
+};
+
+const queries = (send) =>
+  send.mock.calls
+    .map(([command]) => command)
+    .filter((command) => command instanceof QueryCommand)
+    .map((command) => command.input);
+
+const call = async (handler, params, email) => {
+  const response = await handler({
+    queryStringParameters: params,
+    requestContext: email ? { authorizer: { claims: { email } } } : {},
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+};
+
+// A cursor for the next page of a list, as the handler returns it
+const cursorFor = async (handler, params = {}, email) => {
+  const { lastKey } = await call(handler, params, email);
+  return lastKey;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("list cursors", () => {
+  test("resume the list where the previous page stopped", async () => {
+    const send = serveEmptyPages();
+    const lastKey = await cursorFor(listPollsHandler);
+
+    const result = await call(listPollsHandler, { lastKey });
+
+    expect(result.statusCode).toBe(200);
+    expect(queries(send)[1].ExclusiveStartKey).toEqual(NEXT_KEY);
+  });
+
+  test("don't show the key they stand for", async () => {
+    serveEmptyPages();
+
+    const lastKey = await cursorFor(listPollsHandler);
+
+    expect(lastKey).not.toContain("POLL#poll-9");
+  });
+
+  test.each([
+    ["not a cursor", "not-a-cursor"],
+    ["too many parts", "a.b.c"],
+    ["an empty signature", "payload."],
+  ])("are rejected when malformed (%s)", async (_name, lastKey) => {
+    const send = serveEmptyPages();
+
+    const result = await call(listPollsHandler, { lastKey });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.errors).toEqual([
+      { field: "lastKey", message: "is malformed" },
+    ]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("are rejected when tampered with", async () => {
+    const send = serveEmptyPages();
+    const [, signature] = (await cursorFor(listPollsHandler)).split(".");
+    const forged = Buffer.from(
+      JSON.stringify({ scope: "polls:newest", key: { PK: "POLL#other" } })
+    ).toString("base64url");
+    send.mockClear();
+
+    const result = await call(listPollsHandler, {
+      lastKey: `${forged}.${signature}`,
+    });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.errors).toEqual([
+      { field: "lastKey", message: "is invalid" },
+    ]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("are rejected by another feed", async () => {
+    serveEmptyPages();
+    const lastKey = await cursorFor(listPollsHandler, { sort: "newest" });
+
+    const result = await call(listPollsHandler, { sort: "mostVoted", lastKey });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.errors).toEqual([
+      { field: "lastKey", message: "does not belong to this list" },
+    ]);
+  });
+
+  test("are rejected by another user's list", async () => {
+    serveEmptyPages();
+    const lastKey = await cursorFor(getMyPollsHandler, {}, "alice@example.com");
+
+    const result = await call(
+      getMyPollsHandler,
+      { lastKey },
+      "bob@example.com"
+    );
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.errors).toEqual([
+      { field: "lastKey", message: "does not belong to this list" },
+    ]);
+  });
+
+  test("are null on the last page", async () => {
+    jest
+      .spyOn(DynamoDBDocumentClient.prototype, "send")
+      .mockResolvedValue({ Items: [] });
+
+    const result = await call(listPollsHandler, {});
+
+    expect(result.statusCode).toBe(200);
+    expect(result.lastKey).toBe(null);
+  });
+});
+
+describe("list limit", () => {
+  test.each([
+    [undefined, 10],
+    ["", 10],
+    ["1", 1],
+    ["50", 50],
+    ["500", 50],
+  ])("%p reads pages of %i polls", async (limit, pageSize) => {
+    const send = serveEmptyPages();
+
+    const result = await call(listPollsHandler, { limit });
+
+    expect(result.statusCode).toBe(200);
+    expect(queries(send)[0].Limit).toBe(pageSize);
+  });
+
+  test.each(["0", "-5", "2.5", "ten"])("%p is rejected", async (limit) => {
+    const send = serveEmptyPages();
+
+    const result = await call(listPollsHandler, { limit });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.errors).toEqual([
+      { field: "limit", message: "must be a positive integer" },
+    ]);
+    expect(send).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+import { describe } from "@jest/globals";
+import {
+  DynamoDBClient,
+  CreateTableCommand,
+  DeleteTableCommand,
+} from "@aws-sdk/client-dynamodb";
+
+// Helpers for the tests run against DynamoDB Local, e.g.
+//
+//   docker run -p 8000:8000 amazon/dynamodb-local
+//   AWS_ENDPOINT_URL_DYNAMODB=http://localhost:8000 npm test
+//
+// Without AWS_ENDPOINT_URL_DYNAMODB those tests are skipped. Each test file
+// creates its own tables, named after it, and deletes them when done.
+
+export const describeLocal = process.env.AWS_ENDPOINT_URL_DYNAMODB
+  ? describe
+  : describe.skip;
+
+// DynamoDB Local accepts any credentials, but the SDK needs some. Call
+// before importing the repositories, which read their table names and
+// region when loaded.
+export const useLocalTables = (suffix) => {
+  process.env.AWS_REGION ??= "us-east-1";
+  process.env.AWS_ACCESS_KEY_ID ??= "local";
+  process.env.AWS_SECRET_ACCESS_KEY ??= "local";
+  process.env.POLLS_TABLE = `Polls-${suffix}`;
+  process.env.CONNECTIONS_TABLE = `Connections-${suffix}`;
+  process.env.SUBSCRIPTIONS_TABLE = `Subscriptions-${suffix}`;
+  process.env.RATE_LIMITS_TABLE = `RateLimits-${suffix}`;
+};
+
+const string = (name) => ({ AttributeName: name, AttributeType: "S" });
+const number = (name) => ({ AttributeName: name, AttributeType: "N" });
+
+const index = (IndexName, partitionKey, sortKey) => ({
+  IndexName,
+  KeySchema: [
+    { AttributeName: partitionKey, KeyType: "HASH" },
+    ...(sortKey ? [{ AttributeName: sortKey, KeyType: "RANGE" }] : []),
+  ],
+  Projection: { ProjectionType: "ALL" },
+});
+
+// The tables of lib/voting-app-backend-stack.ts
+const TABLES = {
+  POLLS_TABLE: {
+    AttributeDefinitions: [
+      string("PK"),
+      string("SK"),
+      string("GSI1PK"),
+      string("GSI2PK"),
+      string("GSI3PK"),
+      string("GSI4PK"),
+      string("GSI5PK"),
+      string("createdAt"),
+      string("closesAt"),
+      number("totalVotes"),
+      number("trendScore"),
+    ],
+    KeySchema: [
+      { AttributeName: "PK", KeyType: "HASH" },
+      { AttributeName: "SK", KeyType: "RANGE" },
+    ],
+    GlobalSecondaryIndexes: [
+      index("PollsByCreatedAt-index", "GSI1PK", "createdAt"),
+      index("PollsByOwner-index", "GSI2PK", "createdAt"),
+      index("PollsByClosesAt-index", "GSI3PK", "closesAt"),
+      index("PollsByTotalVotes-index", "GSI1PK", "totalVotes"),
+      index("PollsByTrend-index", "GSI4PK", "trendScore"),
+      index("VotesByVoter-index", "GSI5PK", "createdAt"),
+    ],
+  },
+  CONNECTIONS_TABLE: {
+    AttributeDefinitions: [string("PK")],
+    KeySchema: [{ AttributeName: "PK", KeyType: "HASH" }],
+  },
+  SUBSCRIPTIONS_TABLE: {
+    AttributeDefinitions: [string("PK"), string("SK")],
+    KeySchema: [
+      { AttributeName: "PK", KeyType: "HASH" },
+      { AttributeName: "SK", KeyType: "RANGE" },
+    ],
+    GlobalSecondaryIndexes: [
+      index("SubscriptionsByPoll-index", "SK", "PK"),
+    ],
+  },
+  RATE_LIMITS_TABLE: {
+    AttributeDefinitions: [string("PK")],
+    KeySchema: [{ AttributeName: "PK", KeyType: "HASH" }],
+  },
+};
+
+// Create the tables named in the environment by useLocalTables
+export const createLocalTables = async () => {
+  const client = new DynamoDBClient({});
+  for (const [env, definition] of Object.entries(TABLES)) {
+    await client.send(
+      new CreateTableCommand({
+        TableName: process.env[env],
+        BillingMode: "PAY_PER_REQUEST",
+        ...definition,
+      })
+    );
+  }
+};
+
+export const deleteLocalTables = async () => {
+  const client = new DynamoDBClient({});
+  for (const env of Object.keys(TABLES)) {
+    await client.send(new DeleteTableCommand({ TableName: process.env[env] }));
+  }
+};
@@ -0,0 +1,155 @@
+import { jest } from "@jest/globals";
+import {
+  DynamoDBDocumentClient,
+  QueryCommand,
+  BatchGetCommand,
+} from "@aws-sdk/lib-dynamodb";
+
+// The poll lists load a whole page with a fixed number of DynamoDB calls: the
+// index Query, then one BatchGet per 100 option and vote keys. Only polls
+// written before POLL items listed their optionIds cost an extra Query each.
+// These tests answer the client's calls from an in-memory table and count
+// them.
+
+process.env.POLLS_TABLE = "Polls";
+process.env.CURSOR_SECRET = "test-secret";
+
+const { listPollsHandler, authListPolls, getMyPollsHandler } = await import(
+  "../resources/polls.mjs"
+);
+
+const OWNER = { email: "owner@example.com", name: "Owner" };
+
+const pollItems = (count, { legacy = false, prefix = "poll" } = {}) =>
+  Array.from({ length: count }, (_, i) => {
+    const pollId = `${prefix}-${i}`;
+    return {
+      PK: `POLL#${pollId}`,
+      SK: "POLL",
+      pollId,
+      question: `Question ${i}?`,
+      owner: OWNER,
+      createdAt: "2025-01-01T00:00:00.000Z",
+      ...(legacy ? {} : { optionIds: [1, 2, 3, 4] }),
+    };
+  });
+
+const optionItems = (polls) =>
+  polls.flatMap((poll) =>
+    [1, 2, 3, 4].map((optionId) => ({
+      PK: poll.PK,
+      SK: `OPTION#${optionId}`,
+      optionId,
+      text: `Option ${optionId}`,
+      votesCount: optionId,
+    }))
+  );
+
+// Answer Queries on an index with the page of polls, Queries on a poll's
+// partition and BatchGets from the table's items
+const serveTable = (polls, items) => {
+  const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+  send.mockImplementation(async (command) => {
+    if (command instanceof QueryCommand && command.input.IndexName) {
+      return { Items: polls };
+    }
+    if (command instanceof QueryCommand) {
+      const values = command.input.ExpressionAttributeValues;
+      return {
+        Items: items.filter(
+          (item) =>
+            item.PK === values[":pk"] &&
+            item.SK.startsWith(values[":skPrefix"])
+        ),
+      };
+    }
+    if (command instanceof BatchGetCommand) {
+      const [[table, { Keys }]] = Object.entries(command.input.RequestItems);
+      return {
+        Responses: {
+          [table]: items.filter((item) =>
+            Keys.some((key) => key.PK === item.PK && key.SK === item.SK)
+          ),
+        },
+      };
+    }
+    throw new Error(`Unexpected ${command.constructor.name}`);
+  });
+  return send;
+};
+
+const countCalls = (send, Command) =>
+  send.mock.calls.filter(([command]) => command instanceof Command).length;
+
+const authEvent = (queryStringParameters = {}) => ({
+  queryStringParameters,
+  requestContext: { authorizer: { claims: { email: OWNER.email } } },
+});
+
+const handlers = [
+  ["listPollsHandler", listPollsHandler, { votes: false }],
+  ["authListPolls", authListPolls, { votes: true }],
+  ["getMyPollsHandler", getMyPollsHandler, { votes: true }],
+];
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe.each(handlers)("%s", (_name, handler, { votes }) => {
+  test("loads a page of polls with one Query and one BatchGet", async () => {
+    const polls = pollItems(10);
+    const send = serveTable(polls, optionItems(polls));
+
+    const response = await handler(authEvent({ limit: "10" }));
+
+    expect(response.statusCode).toBe(200);
+    const { items } = JSON.parse(response.body);
+    expect(items).toHaveLength(10);
+    expect(items[0].options.map((option) => option.id)).toEqual([1, 2, 3, 4]);
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(countCalls(send, QueryCommand)).toBe(1);
+    expect(countCalls(send, BatchGetCommand)).toBe(1);
+  });
+
+  test("splits the keys of a large page into BatchGets of 100", async () => {
+    // 4 options per poll, plus the caller's vote on each when signed in
+    const polls = pollItems(30);
+    const send = serveTable(polls, optionItems(polls));
+
+    const response = await handler(authEvent({ limit: "30" }));
+
+    expect(response.statusCode).toBe(200);
+    const keys = 30 * 4 + (votes ? 30 : 0);
+    expect(countCalls(send, QueryCommand)).toBe(1);
+    expect(countCalls(send, BatchGetCommand)).toBe(Math.ceil(keys / 100));
+  });
+
+  test("queries the options of legacy polls one by one", async () => {
+    const indexed = pollItems(3);
+    const legacy = pollItems(2, { legacy: true, prefix: "legacy" });
+    const polls = [...indexed, ...legacy];
+    const send = serveTable(polls, optionItems(polls));
+
+    const response = await handler(authEvent({ limit: "5" }));
+
+    expect(response.statusCode).toBe(200);
+    const { items } = JSON.parse(response.body);
+    for (const item of items) {
+      expect(item.options).toHaveLength(4);
+    }
+    expect(countCalls(send, QueryCommand)).toBe(1 + legacy.length);
+    expect(countCalls(send, BatchGetCommand)).toBe(1);
+  });
+
+  test("batches no option keys for a page of legacy polls", async () => {
+    const polls = pollItems(3, { legacy: true });
+    const send = serveTable(polls, optionItems(polls));
+
+    const response = await handler(authEvent({ limit: "3" }));
+
+    expect(response.statusCode).toBe(200);
+    expect(countCalls(send, QueryCommand)).toBe(1 + polls.length);
+    expect(countCalls(send, BatchGetCommand)).toBe(votes ? 1 : 0);
+  });
+});
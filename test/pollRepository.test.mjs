@@ -0,0 +1,303 @@
+import {
+  describeLocal,
+  useLocalTables,
+  createLocalTables,
+  deleteLocalTables,
+} from "./dynamoLocal.mjs";
+
+useLocalTables(`repository-${Date.now()}`);
+
+const {
+  createPoll,
+  getPoll,
+  getPollItems,
+  getVote,
+  recordVote,
+  removeVote,
+  updatePoll,
+  searchPolls,
+  VoteWriteError,
+} = await import("../resources/pollRepository.mjs");
+
+const alice = { email: "alice@example.com", name: "Alice" };
+const bob = { email: "bob@example.com", name: "Bob" };
+
+let nextPoll = 0;
+
+// Create a poll and resolve to its POLL item
+const newPoll = async (fields = {}) => {
+  nextPoll += 1;
+  const pollId = `poll-${nextPoll}`;
+  await createPoll({
+    pollId,
+    question: `Question ${nextPoll}?`,
+    owner: alice,
+    createdAt: new Date(Date.UTC(2025, 0, 1, 0, nextPoll)).toISOString(),
+    type: "single",
+    visibility: "public",
+    resultsVisibility: "always",
+    access: "public",
+    options: ["A", "B", "C"],
+    ...fields,
+    pollId,
+  });
+  return getPoll(pollId, { consistent: true });
+};
+
+// Option counts by option id, e.g. { 1: [votesCount, rankedCount] }
+const counts = async (pollId) => {
+  const { optionItems } = await getPollItems(pollId);
+  return Object.fromEntries(
+    optionItems.map((opt) => [
+      opt.optionId,
+      [opt.votesCount, opt.rankedCount ?? 0],
+    ])
+  );
+};
+
+const totalVotes = async (pollId) =>
+  (await getPoll(pollId, { consistent: true })).totalVotes;
+
+describeLocal("pollRepository on DynamoDB Local", () => {
+  beforeAll(async () => {
+    await createLocalTables();
+  });
+
+  afterAll(async () => {
+    await deleteLocalTables();
+  });
+
+  describe("recordVote", () => {
+    test("counts a first vote and keeps its time across changes", async () => {
+      const pollItem = await newPoll();
+
+      const first = await recordVote(pollItem, { optionId: 1 }, alice);
+      expect(first.firstVote).toBe(true);
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [1, 0],
+        2: [0, 0],
+        3: [0, 0],
+      });
+      expect(await totalVotes(pollItem.pollId)).toBe(1);
+
+      const changed = await recordVote(pollItem, { optionId: 2 }, alice);
+      expect(changed.firstVote).toBe(false);
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [0, 0],
+        2: [1, 0],
+        3: [0, 0],
+      });
+      expect(await totalVotes(pollItem.pollId)).toBe(1);
+
+      const vote = await getVote(pollItem.pollId, alice.email);
+      expect(vote.optionId).toBe(2);
+      expect(vote.createdAt).toBe(changed.createdAt);
+      expect(vote.firstVotedAt).toBe(first.createdAt);
+    });
+
+    test("resolves to null when the vote is unchanged", async () => {
+      const pollItem = await newPoll({ type: "multiple", maxChoices: 2 });
+      await recordVote(pollItem, { optionIds: [1, 3] }, alice);
+
+      expect(await recordVote(pollItem, { optionIds: [3, 1] }, alice)).toBe(
+        null
+      );
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [1, 0],
+        2: [0, 0],
+        3: [1, 0],
+      });
+    });
+
+    test("counts every option a ranked ballot ranks", async () => {
+      const pollItem = await newPoll({ type: "ranked" });
+
+      await recordVote(pollItem, { ranking: [2, 1] }, alice);
+      await recordVote(pollItem, { ranking: [3] }, bob);
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [0, 1],
+        2: [1, 1],
+        3: [1, 1],
+      });
+
+      await recordVote(pollItem, { ranking: [1, 3] }, alice);
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [1, 1],
+        2: [0, 0],
+        3: [1, 2],
+      });
+    });
+
+    test("rejects an option that does not exist", async () => {
+      const pollItem = await newPoll();
+
+      const error = await recordVote(pollItem, { optionId: 9 }, alice).catch(
+        (err) => err
+      );
+
+      expect(error).toBeInstanceOf(VoteWriteError);
+      expect(error.reason).toBe("unknownOption");
+      expect(error.optionId).toBe(9);
+      expect(await getVote(pollItem.pollId, alice.email)).toBe(null);
+      expect(await totalVotes(pollItem.pollId)).toBe(0);
+    });
+
+    test("rejects votes on a closed poll", async () => {
+      const pollItem = await newPoll({
+        closesAt: "2025-01-01T00:00:00.000Z",
+      });
+
+      await expect(
+        recordVote(pollItem, { optionId: 1 }, alice)
+      ).rejects.toMatchObject({ reason: "pollClosed" });
+    });
+  });
+
+  describe("removeVote", () => {
+    test("takes the vote off its options and the poll", async () => {
+      const pollItem = await newPoll({ type: "ranked" });
+      const { createdAt } = await recordVote(
+        pollItem,
+        { ranking: [3, 2] },
+        alice
+      );
+
+      const removed = await removeVote(pollItem, alice);
+
+      expect(removed.firstVotedAt).toBe(createdAt);
+      expect(await getVote(pollItem.pollId, alice.email)).toBe(null);
+      expect(await counts(pollItem.pollId)).toEqual({
+        1: [0, 0],
+        2: [0, 0],
+        3: [0, 0],
+      });
+      expect(await totalVotes(pollItem.pollId)).toBe(0);
+    });
+
+    test("resolves to null when the user has not voted", async () => {
+      const pollItem = await newPoll();
+
+      expect(await removeVote(pollItem, alice)).toBe(null);
+      expect(await totalVotes(pollItem.pollId)).toBe(0);
+    });
+  });
+
+  describe("updatePoll", () => {
+    const edit = (fields) => ({
+      updateOptions: [],
+      removeOptions: [],
+      addOptions: [],
+      optionIds: [1, 2, 3],
+      optionTexts: ["A", "B", "C"],
+      updatedAt: new Date().toISOString(),
+      ...fields,
+    });
+
+    test("rewords, removes and adds options", async () => {
+      const pollItem = await newPoll();
+
+      await updatePoll(
+        pollItem,
+        edit({
+          question: "Edited?",
+          updateOptions: [{ id: 1, text: "A2" }],
+          removeOptions: [2],
+          addOptions: [{ id: 4, text: "D" }],
+          optionIds: [1, 3, 4],
+          optionTexts: ["A2", "C", "D"],
+        })
+      );
+
+      const { pollItem: edited, optionItems } = await getPollItems(
+        pollItem.pollId
+      );
+      expect(edited.question).toBe("Edited?");
+      expect(edited.optionIds).toEqual([1, 3, 4]);
+      expect(edited.searchText).toBe("edited?\na2\nc\nd");
+      expect(optionItems.map((opt) => opt.text)).toEqual(["A2", "C", "D"]);
+    });
+
+    test("is cancelled when a removed option has votes", async () => {
+      const pollItem = await newPoll();
+      await recordVote(pollItem, { optionId: 2 }, alice);
+
+      await expect(
+        updatePoll(
+          pollItem,
+          edit({
+            removeOptions: [2],
+            optionIds: [1, 3],
+            optionTexts: ["A", "C"],
+          })
+        )
+      ).rejects.toMatchObject({ name: "TransactionCanceledException" });
+      expect(await counts(pollItem.pollId)).toHaveProperty("2");
+    });
+
+    test("is cancelled when a removed option is ranked", async () => {
+      const pollItem = await newPoll({ type: "ranked" });
+      await recordVote(pollItem, { ranking: [1, 2] }, alice);
+
+      await expect(
+        updatePoll(
+          pollItem,
+          edit({
+            removeOptions: [2],
+            optionIds: [1, 3],
+            optionTexts: ["A", "C"],
+          })
+        )
+      ).rejects.toMatchObject({ name: "TransactionCanceledException" });
+    });
+
+    test("is cancelled when the option list changed", async () => {
+      const pollItem = await newPoll();
+      await updatePoll(
+        pollItem,
+        edit({
+          addOptions: [{ id: 4, text: "D" }],
+          optionIds: [1, 2, 3, 4],
+          optionTexts: ["A", "B", "C", "D"],
+        })
+      );
+
+      await expect(
+        updatePoll(pollItem, edit({ question: "Stale?" }))
+      ).rejects.toMatchObject({ name: "TransactionCanceledException" });
+    });
+  });
+
+  describe("searchPolls", () => {
+    beforeAll(async () => {
+      for (let i = 0; i < 7; i++) {
+        await newPoll({ question: `Searchable poll ${i}?` });
+      }
+      await newPoll({ question: "Something else?" });
+    });
+
+    test("pages through the matches, newest first", async () => {
+      const questions = [];
+      let lastKey;
+      do {
+        const page = await searchPolls(
+          { terms: ["searchable"] },
+          { limit: 3, lastKey }
+        );
+        expect(page.items.length).toBeLessThanOrEqual(3);
+        questions.push(...page.items.map((item) => item.question));
+        lastKey = page.lastKey;
+      } while (lastKey);
+
+      expect(questions).toEqual(
+        [6, 5, 4, 3, 2, 1, 0].map((i) => `Searchable poll ${i}?`)
+      );
+    });
+
+    test("returns no lastKey when the last page is exactly full", async () => {
+      const page = await searchPolls({ terms: ["searchable"] }, { limit: 7 });
+
+      expect(page.items).toHaveLength(7);
+      expect(page.lastKey).toBeUndefined();
+    });
+  });
+});
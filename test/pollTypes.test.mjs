@@ -0,0 +1,118 @@
+import { choiceKey, instantRunoff } from "../resources/pollTypes.mjs";
+
+describe("instantRunoff", () => {
+  test("elects an option backed by a majority in the first round", () => {
+    expect(instantRunoff([1, 2, 3], [[1], [1, 2], [2]])).toEqual({
+      rounds: [{ round: 1, counts: { 1: 2, 2: 1, 3: 0 }, exhausted: 0 }],
+      winner: 1,
+      tied: [],
+    });
+  });
+
+  test("transfers the ballots of an eliminated option", () => {
+    const result = instantRunoff([1, 2, 3], [[1], [1], [2], [2], [3, 2]]);
+
+    expect(result.rounds).toEqual([
+      {
+        round: 1,
+        counts: { 1: 2, 2: 2, 3: 1 },
+        exhausted: 0,
+        eliminated: [3],
+      },
+      { round: 2, counts: { 1: 2, 2: 3 }, exhausted: 0 },
+    ]);
+    expect(result.winner).toBe(2);
+  });
+
+  test("needs more than half of the ballots, not half", () => {
+    const result = instantRunoff([1, 2, 3], [[1], [1], [2], [3]]);
+
+    expect(result.rounds[0]).toMatchObject({ counts: { 1: 2, 2: 1, 3: 1 } });
+    expect(result.rounds).toHaveLength(2);
+  });
+
+  test("eliminates every option tied for the fewest votes at once", () => {
+    const result = instantRunoff([1, 2, 3], [[1], [1], [2], [3]]);
+
+    expect(result.rounds[0].eliminated).toEqual([2, 3]);
+    expect(result.rounds[1]).toEqual({
+      round: 2,
+      counts: { 1: 2 },
+      exhausted: 2,
+    });
+    expect(result.winner).toBe(1);
+  });
+
+  test("counts the majority among ballots that are not exhausted", () => {
+    const result = instantRunoff(
+      [1, 2, 3, 4],
+      [[1], [1], [2, 1], [3], [3], [4]]
+    );
+
+    // Round 2 leaves the ballot for 4 exhausted: 3 of 5 is a majority
+    expect(result.rounds[1]).toEqual({
+      round: 2,
+      counts: { 1: 3, 3: 2 },
+      exhausted: 1,
+    });
+    expect(result.winner).toBe(1);
+  });
+
+  test("ignores ballot entries for options that no longer exist", () => {
+    expect(instantRunoff([1, 2], [[9, 1], [1], [2]]).winner).toBe(1);
+  });
+
+  test("returns every remaining option when they are all tied", () => {
+    expect(instantRunoff([1, 2, 3], [[1], [2], [3, 1]])).toEqual({
+      rounds: [{ round: 1, counts: { 1: 1, 2: 1, 3: 1 }, exhausted: 0 }],
+      winner: null,
+      tied: [1, 2, 3],
+    });
+  });
+
+  test("ties the options left after eliminations", () => {
+    const result = instantRunoff([1, 2, 3], [[1], [1], [2], [2], [3]]);
+
+    expect(result.rounds[0].eliminated).toEqual([3]);
+    expect(result.rounds[1]).toEqual({
+      round: 2,
+      counts: { 1: 2, 2: 2 },
+      exhausted: 1,
+    });
+    expect(result.winner).toBe(null);
+    expect(result.tied).toEqual([1, 2]);
+  });
+
+  test("has no rounds without ballots or options", () => {
+    const none = { rounds: [], winner: null, tied: [] };
+
+    expect(instantRunoff([1, 2], [])).toEqual(none);
+    expect(instantRunoff([], [[1]])).toEqual(none);
+  });
+});
+
+describe("choiceKey", () => {
+  test("ignores the order of multiple-choice selections", () => {
+    expect(choiceKey("multiple", { optionIds: [3, 1] })).toBe(
+      choiceKey("multiple", { optionIds: ["1", 3] })
+    );
+  });
+
+  test("keeps the order of a ranking", () => {
+    expect(choiceKey("ranked", { ranking: [1, "2"] })).toBe(
+      choiceKey("ranked", { ranking: [1, 2] })
+    );
+    expect(choiceKey("ranked", { ranking: [1, 2] })).not.toBe(
+      choiceKey("ranked", { ranking: [2, 1] })
+    );
+  });
+
+  test("compares single choices by option id", () => {
+    expect(choiceKey("single", { optionId: "2" })).toBe(
+      choiceKey(undefined, { optionId: 2 })
+    );
+    expect(choiceKey("single", { optionId: 1 })).not.toBe(
+      choiceKey("single", { optionId: 2 })
+    );
+  });
+});
@@ -0,0 +1,144 @@
+import { jest } from "@jest/globals";
+import { ConditionalCheckFailedException } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient } from "@aws-sdk/lib-dynamodb";
+
+// The limiter takes a token with conditional updates only. These tests
+// answer them from an in-memory table of buckets, failing the condition the
+// way DynamoDB does with ReturnValuesOnConditionCheckFailure: ALL_OLD (the
+// old item in low-level attribute values), while Date.now is held still.
+
+process.env.RATE_LIMITS_TABLE = "RateLimits";
+process.env.RATE_LIMIT_VOTE = "3/60";
+process.env.LOG_LEVEL = "error";
+
+const { enforceRateLimit, RateLimitError } = await import(
+  "../resources/rateLimit.mjs"
+);
+const { errorResponse } = await import("../resources/errors.mjs");
+
+const START = Date.UTC(2025, 0, 1);
+
+const conditionFailed = (tat) =>
+  new ConditionalCheckFailedException({
+    message: "The conditional request failed",
+    $metadata: {},
+    ...(tat !== undefined && { Item: { tat: { N: String(tat) } } }),
+  });
+
+// Apply the limiter's updates to an in-memory table of bucket tats when
+// their condition holds
+const serveBuckets = () => {
+  const tats = new Map();
+  const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+  send.mockImplementation(async ({ input }) => {
+    const values = input.ExpressionAttributeValues;
+    const tat = tats.get(input.Key.PK);
+    const restart = input.ConditionExpression.startsWith(
+      "attribute_not_exists"
+    );
+    const holds = restart
+      ? tat === undefined || tat < values[":now"]
+      : tat >= values[":now"] && tat <= values[":limit"];
+    if (!holds) {
+      throw conditionFailed(tat);
+    }
+    const next = restart ? values[":next"] : tat + values[":interval"];
+    tats.set(input.Key.PK, next);
+    return {};
+  });
+};
+
+let now;
+
+beforeEach(() => {
+  now = START;
+  jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+const vote = () => enforceRateLimit("vote", "alice@example.com");
+
+describe("enforceRateLimit", () => {
+  test("lets a burst of `capacity` requests through, then limits", async () => {
+    serveBuckets();
+
+    for (let i = 0; i < 3; i++) {
+      await expect(vote()).resolves.toBeUndefined();
+    }
+    await expect(vote()).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  test("tells when the next token is available", async () => {
+    serveBuckets();
+    for (let i = 0; i < 3; i++) {
+      await vote();
+    }
+
+    now += 5000;
+    const error = await vote().catch((err) => err);
+
+    // A token comes back every 20 seconds
+    expect(error.retryAfter).toBe(15);
+    expect(errorResponse(error)).toMatchObject({
+      statusCode: 429,
+      headers: { "Retry-After": "15" },
+    });
+  });
+
+  test("refills a token per interval, and the whole bucket", async () => {
+    serveBuckets();
+    for (let i = 0; i < 3; i++) {
+      await vote();
+    }
+
+    now += 20000;
+    await expect(vote()).resolves.toBeUndefined();
+    await expect(vote()).rejects.toMatchObject({ retryAfter: 20 });
+
+    now += 80000;
+    for (let i = 0; i < 3; i++) {
+      await expect(vote()).resolves.toBeUndefined();
+    }
+    await expect(vote()).rejects.toBeInstanceOf(RateLimitError);
+  });
+
+  test("keeps a bucket per user and operation", async () => {
+    serveBuckets();
+    for (let i = 0; i < 3; i++) {
+      await vote();
+    }
+
+    await expect(
+      enforceRateLimit("vote", "bob@example.com")
+    ).resolves.toBeUndefined();
+    await expect(
+      enforceRateLimit("message", "alice@example.com")
+    ).resolves.toBeUndefined();
+  });
+
+  test("lets requests through when the table fails", async () => {
+    jest
+      .spyOn(DynamoDBDocumentClient.prototype, "send")
+      .mockRejectedValue(new Error("Service unavailable"));
+
+    await expect(vote()).resolves.toBeUndefined();
+  });
+
+  test("gives up and lets the request through under contention", async () => {
+    // Every update finds the bucket in the case the other one handles
+    const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+    send.mockImplementation(async ({ input }) => {
+      throw conditionFailed(
+        input.ConditionExpression.startsWith("attribute_not_exists")
+          ? now + 1000
+          : now - 1000
+      );
+    });
+
+    await expect(vote()).resolves.toBeUndefined();
+    expect(send).toHaveBeenCalledTimes(6);
+  });
+});
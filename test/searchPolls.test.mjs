@@ -0,0 +1,197 @@
+import { jest } from "@jest/globals";
+import { DynamoDBClient } from "@aws-sdk/client-dynamodb";
+import { DynamoDBDocumentClient, PutCommand } from "@aws-sdk/lib-dynamodb";
+import {
+  describeLocal,
+  useLocalTables,
+  createLocalTables,
+  deleteLocalTables,
+} from "./dynamoLocal.mjs";
+
+useLocalTables(`search-${Date.now()}`);
+process.env.CURSOR_SECRET = "test-secret";
+
+const { searchPollsHandler } = await import("../resources/polls.mjs");
+const { createPoll } = await import("../resources/pollRepository.mjs");
+
+const search = async (params, claims) => {
+  const response = await searchPollsHandler({
+    queryStringParameters: params,
+    ...(claims && { requestContext: { authorizer: { claims } } }),
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+};
+
+const questions = (result) => result.items.map((item) => item.question);
+
+describe("searchPollsHandler validation", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("rejects a from date after the to date", async () => {
+    const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+
+    const result = await search({
+      from: "2025-02-01T00:00:00.000Z",
+      to: "2025-01-01T00:00:00.000Z",
+    });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.error.code).toBe("VALIDATION_FAILED");
+    expect(result.error.errors).toEqual([
+      { field: "from", message: "must not be after to" },
+    ]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("only lets signed-in users search by owner", async () => {
+    const send = jest.spyOn(DynamoDBDocumentClient.prototype, "send");
+
+    const result = await search({ owner: "bob@example.com" });
+
+    expect(result.statusCode).toBe(401);
+    expect(result.error.code).toBe("UNAUTHORIZED");
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test("accepts equal from and to dates", async () => {
+    const send = jest
+      .spyOn(DynamoDBDocumentClient.prototype, "send")
+      .mockResolvedValue({ Items: [] });
+
+    const result = await search({
+      from: "2025-01-01T00:00:00.000Z",
+      to: "2025-01-01T00:00:00.000Z",
+    });
+
+    expect(result.statusCode).toBe(200);
+    expect(send).toHaveBeenCalled();
+  });
+});
+
+describeLocal("searchPollsHandler on DynamoDB Local", () => {
+  const alice = { email: "alice@example.com", name: "Alice" };
+  const bob = { email: "bob@example.com", name: "Bob" };
+
+  const poll = (i, fields) => ({
+    pollId: `poll-${i}`,
+    owner: alice,
+    createdAt: `2025-01-0${i}T00:00:00.000Z`,
+    type: "single",
+    visibility: "public",
+    resultsVisibility: "always",
+    access: "public",
+    options: ["Yes", "No"],
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    await createLocalTables();
+    await createPoll(poll(1, { question: "Best Pizza topping?" }));
+    await createPoll(
+      poll(2, { question: "Favourite pizza place?", owner: bob })
+    );
+    await createPoll(
+      poll(3, {
+        question: "Lunch today?",
+        options: ["Pizza", "Sushi"],
+        type: "multiple",
+        maxChoices: 2,
+      })
+    );
+    await createPoll(
+      poll(4, { question: "Secret pizza poll?", access: "unlisted" })
+    );
+    await createPoll(poll(5, { question: "Pizza or pasta for dinner?" }));
+    // Written before POLL items carried searchText and optionIds
+    const client = DynamoDBDocumentClient.from(new DynamoDBClient({}));
+    await client.send(
+      new PutCommand({
+        TableName: process.env.POLLS_TABLE,
+        Item: {
+          PK: "POLL#legacy",
+          SK: "POLL",
+          pollId: "legacy",
+          question: "Old pizza poll?",
+          owner: alice,
+          createdAt: "2025-01-06T00:00:00.000Z",
+          GSI1PK: "POLL",
+          GSI2PK: `OWNER#${alice.email}`,
+        },
+      })
+    );
+  });
+
+  afterAll(async () => {
+    await deleteLocalTables();
+  });
+
+  test("matches every term against the question and options", async () => {
+    const result = await search({ q: "PIZZA" });
+
+    expect(result.statusCode).toBe(200);
+    expect(questions(result)).toEqual([
+      "Old pizza poll?",
+      "Pizza or pasta for dinner?",
+      "Lunch today?",
+      "Favourite pizza place?",
+      "Best Pizza topping?",
+    ]);
+    expect(questions(await search({ q: "pizza dinner" }))).toEqual([
+      "Pizza or pasta for dinner?",
+    ]);
+  });
+
+  test("matches polls without searchText on their question", async () => {
+    expect(questions(await search({ q: "poll" }))).toEqual([
+      "Old pizza poll?",
+    ]);
+  });
+
+  test("narrows by owner, type and creation date", async () => {
+    expect(
+      questions(await search({ owner: bob.email }, { email: alice.email }))
+    ).toEqual([
+      "Favourite pizza place?",
+    ]);
+    expect(questions(await search({ type: "multiple" }))).toEqual([
+      "Lunch today?",
+    ]);
+    expect(
+      questions(
+        await search({
+          q: "pizza",
+          from: "2025-01-02T00:00:00.000Z",
+          to: "2025-01-03T00:00:00.000Z",
+        })
+      )
+    ).toEqual(["Lunch today?", "Favourite pizza place?"]);
+  });
+
+  test("pages through the matches with lastKey", async () => {
+    const seen = [];
+    let lastKey;
+    do {
+      const result = await search({
+        q: "pizza",
+        limit: "2",
+        ...(lastKey && { lastKey }),
+      });
+      expect(result.statusCode).toBe(200);
+      expect(result.items.length).toBeLessThanOrEqual(2);
+      seen.push(...questions(result));
+      lastKey = result.lastKey;
+    } while (lastKey);
+
+    expect(seen).toEqual(questions(await search({ q: "pizza" })));
+  });
+
+  test("rejects a cursor from another search", async () => {
+    const { lastKey } = await search({ q: "pizza", limit: "1" });
+
+    const result = await search({ q: "lunch", lastKey });
+
+    expect(result.statusCode).toBe(400);
+  });
+});